@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+'use strict';
+
+// This is the command line tool for when we need to look at a PicoKV directory
+// without writing a program, or when something went wrong and we want to know what's
+// inside our segments. It works straight on the files, so the commands that open
+// the store (everything but 'dump' and 'verify') need the server to be stopped.
+//
+//     picokv --path ./db get foo
+//     picokv --path ./db --encoding http get kitty
+//     picokv --path ./db set foo bar --ttl 60000
+//     picokv --path ./db del foo
+//     picokv --path ./db scan --prefix f --limit 10
+//     picokv dump ./db/picokv-000000000001.pkv
+//     picokv --path ./db verify
+//     picokv --path ./db compact --garbage-ratio 0.2
+//     picokv --path ./db export > backup.ndjson
+//     picokv --path ./db2 import backup.ndjson
+//     picokv --path ./db backup ./backups/monday
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const readline = require('readline')
+const PicoKV = require('./picokv')
+
+const USAGE = `Usage: picokv [--path <dir>] [--encoding utf8|json|binary|http] [--segments-size <bytes>] <command> [arguments]
+
+The server (server.js) keeps values along with their content type: use '--encoding http' on its directory.
+
+Commands:
+  get <key>                              print the value of a key
+  set <key> <value> [--ttl <ms>]         set a key
+  del <key>                              delete a key
+  scan [--prefix <p>] [--limit <n>]      print keys and values, in order
+  dump <segment>                         print the records of a segment with their offsets
+  verify                                 check records and the order of segments
+  compact [--garbage-ratio <r>]          compact the segments, all of them unless told otherwise
+  export                                 print every key as a JSON line
+  import [<file>]                        set the keys of JSON lines from a file or stdin
+  backup <dir>                           copy the store to an empty directory, where it can be opened as it is`
+
+const { values: flags, positionals } = util.parseArgs({
+    allowPositionals: true,
+    options: {
+        path: { type: 'string', default: './db' },
+        encoding: { type: 'string', default: 'utf8' },
+        'segments-size': { type: 'string' },
+        ttl: { type: 'string' },
+        prefix: { type: 'string' },
+        limit: { type: 'string' },
+        'garbage-ratio': { type: 'string', default: '0' },
+        help: { type: 'boolean', short: 'h' }
+    }
+})
+
+const [command, ...args] = positionals
+
+// Values come to us as text, and we print them as text. JSON values are parsed and
+// printed back as JSON, bytes are printed as they are by 'get' and in base64 otherwise.
+// Values of the server are their body, and the ones we set are plain text.
+function parseValue(text) {
+    if (flags.encoding === 'json') return JSON.parse(text)
+    if (flags.encoding === 'binary') return Buffer.from(text)
+    if (flags.encoding === 'http') return { type: 'text/plain; charset=utf-8', body: Buffer.from(text) }
+    return text
+}
+
+function formatValue(value) {
+    if (flags.encoding === 'json') return JSON.stringify(value)
+    if (flags.encoding === 'http') return value.body.toString()
+    if (Buffer.isBuffer(value)) return value.toString('base64')
+    return value
+}
+
+// Numbers come to us as text too, and a flag that isn't the number we want is a mistake
+// we'd rather hear about than have it quietly turned into NaN
+function numberFlag(name, isValid) {
+    if (flags[name] === undefined) return undefined
+
+    const value = Number(flags[name])
+    if (flags[name].trim() === '' || !isValid(value)) throw new Error(`Invalid --${name} '${flags[name]}'\n\n${USAGE}`)
+    return value
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0
+const isRatio = value => value >= 0 && value <= 1
+
+// Every command that opens the store goes through here, and closes it when done.
+// No compaction runs behind our back while we're at it.
+async function withStore(fn, options = {}) {
+    const kv = await PicoKV.open({
+        path: flags.path,
+        valueEncoding: flags.encoding,
+        segmentsSize: numberFlag('segments-size', isPositiveInteger),
+        compactionInterval: 24 * 60 * 60 * 1000,
+        ...options
+    })
+
+    try {
+        return await fn(kv)
+    } finally {
+        await kv.close()
+    }
+}
+
+function expectArgs(count) {
+    if (args.length !== count) throw new Error(`'${command}' takes ${count} argument${count === 1 ? '' : 's'}\n\n${USAGE}`)
+}
+
+const commands = {
+    async get() {
+        expectArgs(1)
+        const value = await withStore(kv => kv.get(args[0]))
+        if (value === null) throw new Error(`Key ${args[0]} not found`)
+
+        if (Buffer.isBuffer(value)) process.stdout.write(value)
+        else if (flags.encoding === 'http') process.stdout.write(value.body)
+        else console.log(formatValue(value))
+    },
+
+    async set() {
+        expectArgs(2)
+        const ttl = numberFlag('ttl', isPositiveInteger)
+        await withStore(kv => kv.set(args[0], parseValue(args[1]), { ttl }))
+    },
+
+    async del() {
+        expectArgs(1)
+        await withStore(kv => kv.delete(args[0]))
+    },
+
+    async scan() {
+        expectArgs(0)
+        const limit = numberFlag('limit', isPositiveInteger)
+        await withStore(async kv => {
+            for await (const [key, value] of kv.entries({ prefix: flags.prefix, limit })) {
+                console.log(`${key}\t${formatValue(value)}`)
+            }
+        })
+    },
+
+    // A record per line, as JSON, with where it starts in the segment and how big it is.
+    // A broken record is reported as such: if we can still tell its size we go on
+    // with the next one, otherwise there's nothing more we can read.
+    async dump() {
+        expectArgs(1)
+        const segment = args[0]
+        const data = fs.readFileSync(segment)
+        const fd = fs.openSync(segment, 'r')
+
+        try {
+            let position = 0
+            while (position < data.length) {
+                const record = PicoKV.readRecord(data, position)
+                if (!record) {
+                    console.log(JSON.stringify({ offset: position, error: `truncated record, ${data.length - position} bytes left` }))
+                    break
+                }
+
+                const line = {
+                    offset: position,
+                    size: record.size,
+                    seq: record.seq,
+                    timestamp: record.timestamp,
+                    expiresAt: record.expiresAt,
+                    flags: Object.keys(PicoKV.FLAGS).filter(name => record.flags & PicoKV.FLAGS[name]),
+                    key: record.key.toString()
+                }
+
+                if (!record.valid) {
+                    line.error = 'checksum mismatch'
+                } else if (record.flags & PicoKV.FLAGS.commit) {
+                    line.records = record.value.readUInt32BE(0)
+                } else if (!record.tombstone) {
+                    const value = await PicoKV.unpack(fd, position)
+                    if (flags.encoding === 'http') {
+                        const { type, body } = PicoKV.valueEncoding('http').decode(value)
+                        line.contentType = type
+                        line.value = body.toString()
+                    } else {
+                        line.value = flags.encoding === 'binary' ? value.toString('base64') : value.toString()
+                    }
+                }
+
+                console.log(JSON.stringify(line))
+                position += record.size
+            }
+        } finally {
+            fs.closeSync(fd)
+        }
+    },
+
+    // We check that every record is whole and its checksum matches, that the
+    // manifest and the files on disk agree, and that the segments are in the right order:
+    // sequence numbers only grow from a segment to the next one. Compacted segments
+    // hold older records, but none of them can be newer than what follows.
+    async verify() {
+        expectArgs(0)
+        const directory = path.join(flags.path, path.sep)
+        const files = fs.readdirSync(directory).filter(file => /\.pkvc?$/.test(file))
+        const manifest = await PicoKV.readManifest(directory)
+        const problems = []
+
+        let segments = files.slice().sort()
+        if (manifest) {
+            segments = manifest.segments.map(({ segment }) => segment)
+            for (const segment of segments) {
+                if (!files.includes(segment)) problems.push(`${segment} is in the manifest but not on disk`)
+            }
+            for (const file of files) {
+                if (!segments.includes(file)) console.log(`${file} is not in the manifest, it will be deleted when the store is opened`)
+            }
+        } else {
+            console.log('There is no manifest, we can\'t tell the order of the segments')
+        }
+
+        let lastSeq = 0
+        for (const segment of segments.filter(segment => files.includes(segment))) {
+            const data = fs.readFileSync(`${directory}${segment}`)
+            const compacted = segment.endsWith('.pkvc')
+            let records = 0
+            let position = 0
+
+            while (position < data.length) {
+                const record = PicoKV.readRecord(data, position)
+                if (!record || !record.valid) {
+                    problems.push(`${segment}: ${record ? 'corrupted' : 'truncated'} record at offset ${position}, ${data.length - position} bytes can't be read`)
+                    break
+                }
+
+                if (record.seq > 0) {
+                    if (!compacted && manifest && record.seq <= lastSeq) {
+                        problems.push(`${segment}: record at offset ${position} has sequence number ${record.seq}, not after ${lastSeq}`)
+                    }
+                    lastSeq = Math.max(lastSeq, record.seq)
+                }
+
+                records++
+                position += record.size
+            }
+
+            // A batch without its commit marker is ignored, the store pretends it never happened
+            const { size } = PicoKV.scanSegment(data)
+            if (size < position) console.log(`${segment}: incomplete batch at offset ${size}, it will be ignored`)
+
+            console.log(`${segment}: ${records} records, ${data.length} bytes`)
+        }
+
+        for (const problem of problems) console.error(problem)
+        if (problems.length > 0) throw new Error(`Found ${problems.length} problem${problems.length === 1 ? '' : 's'}`)
+        console.log('OK')
+    },
+
+    // Offline compaction compacts every segment, even the one the store was writing to,
+    // unless we give it a garbage ratio: then only the segments with enough garbage are
+    async compact() {
+        expectArgs(0)
+        const garbageRatio = numberFlag('garbage-ratio', isRatio)
+        await withStore(async kv => {
+            const before = await kv.stats()
+            await kv.compact({ rotate: true })
+            const after = await kv.stats()
+            console.log(`${before.segmentCount} segments, ${before.size} bytes -> ${after.segmentCount} segments, ${after.size} bytes`)
+        }, { garbageRatio })
+    },
+
+    // Keys and values are bytes, and JSON doesn't do bytes, so they're in base64.
+    // Keys that expire take their expiration time with them, and values of the server
+    // their content type, apart from their body.
+    // We go through a snapshot, so that every key is the way it was when we started
+    async export() {
+        expectArgs(0)
+        const http = flags.encoding === 'http'
+        await withStore(async kv => {
+            const snapshot = await kv.snapshot()
+            try {
+                for (const key of await snapshot.keys({ keyEncoding: 'binary' })) {
+                    const entry = await snapshot.getEntry(key)
+                    if (entry === null) continue
+
+                    console.log(JSON.stringify(http
+                        ? { key: key.toString('base64'), value: entry.value.body.toString('base64'), contentType: entry.value.type, expiresAt: entry.expiresAt }
+                        : { key: key.toString('base64'), value: entry.value.toString('base64'), expiresAt: entry.expiresAt }))
+                }
+            } finally {
+                await snapshot.release()
+            }
+        }, { valueEncoding: http ? 'http' : 'binary' })
+    },
+
+    async import() {
+        if (args.length > 1) expectArgs(1)
+        const input = args.length === 1 ? fs.createReadStream(args[0]) : process.stdin
+        const http = flags.encoding === 'http'
+        let count = 0
+
+        await withStore(async kv => {
+            for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                if (line.trim() === '') continue
+
+                const { key, value, contentType, expiresAt } = JSON.parse(line)
+                const ttl = expiresAt ? expiresAt - Date.now() : undefined
+
+                // A key that expired on the way is not worth importing
+                if (ttl !== undefined && ttl <= 0) continue
+
+                const body = Buffer.from(value, 'base64')
+                await kv.set(Buffer.from(key, 'base64'), http ? { type: contentType || 'application/octet-stream', body } : body, { ttl })
+                count++
+            }
+        }, { valueEncoding: http ? 'http' : 'binary' })
+
+        console.log(`Imported ${count} keys`)
+    },
+
+    async backup() {
+        expectArgs(1)
+        const { segments } = await withStore(kv => kv.backup(args[0]))
+        console.log(`Backed up ${segments.length} segments to ${args[0]}`)
+    }
+}
+
+// When our output goes to something like 'head', it could stop reading before we're done
+process.stdout.on('error', err => {
+    if (err.code !== 'EPIPE') throw err
+    process.exit(0)
+})
+
+async function main() {
+    if (flags.help || !command) return console.log(USAGE)
+    if (!commands.hasOwnProperty(command)) throw new Error(`Unknown command '${command}'\n\n${USAGE}`)
+
+    await commands[command]()
+}
+
+main().catch(err => {
+    console.error(err.message)
+    process.exitCode = 1
+})
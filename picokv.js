@@ -3,6 +3,8 @@
 // This is just boilerplate, tutorial starts below :-)
 const util = require('util')
 const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
 const EventEmitter = require('events').EventEmitter
 
 const read = util.promisify(fs.read)
@@ -10,6 +12,17 @@ const append = util.promisify(fs.appendFile)
 const open = util.promisify(fs.open)
 const close = util.promisify(fs.close)
 const unlink = util.promisify(fs.unlink)
+const writeFile = util.promisify(fs.writeFile)
+const readFile = util.promisify(fs.readFile)
+const readdir = util.promisify(fs.readdir)
+const stat = util.promisify(fs.stat)
+const mkdir = util.promisify(fs.mkdir)
+const ftruncate = util.promisify(fs.ftruncate)
+const fsync = util.promisify(fs.fsync)
+const rename = util.promisify(fs.rename)
+const link = util.promisify(fs.link)
+const copyFile = util.promisify(fs.copyFile)
+const utimes = util.promisify(fs.utimes)
 
 //       _
 // _ __ (_) ___ ___
@@ -62,43 +75,294 @@ const unlink = util.promisify(fs.unlink)
 // 'Header' will encode the length in bytes of 'Key' + 'Value',
 // so that we know when to stop reading while retrieving the value of
 // a key or rebuilding an index.
+// The most significant bit of 'Header' is special: when it's set the record
+// is a 'tombstone', a marker telling us that the key has been deleted.
+// We'll see why we need it when we talk about deleting keys.
 //
 // For each 'Key' is reserved a 20 bytes space.
 //
 // The 'Value' part is of variable size so we can store any value we want.
 //
-// Let's write some code to represent this structure.
+// This was the first version of our format, and it has a problem: what happens
+// if our process gets killed while it's writing a record? We end up with half
+// a record at the end of the file, and when we read it back we would trust a
+// 'Header' that points past the end of the file, or worse, some garbage.
+//
+// So we need a way to tell if a record is whole. We add a checksum to it,
+// a CRC32 computed over everything that follows it. When we read a record
+// we compute the checksum again: if it doesn't match, the record is broken.
+// While we are at it, we also add a version number in front of the record,
+// so that we can change the format in the future, and a byte for flags, so
+// that the tombstone marker has its own place:
+//
+// +---------+-----------+---------+-----------+-------------+---------------
+// |         |           |         |           |             |
+// | Version |    CRC    |  Flags  |  Length   |     Key     |     Value
+// |         |           |         |           |             |
+// +---------+-----------+---------+-----------+-------------+---------------
+//
+// ^         ^           ^         ^           ^             ^
+// |_1 byte__|__4 bytes__|_1 byte__|__4 bytes__|__20 bytes___|_variable size_
+//
+// 'Length' is still the length of 'Key' + 'Value', and 'CRC' covers 'Flags',
+// 'Length', 'Key' and 'Value'.
+//
+// How do we tell the two versions apart? The old 'Header' is a big endian
+// length, so its first byte is always 0 (or 0x80 for a tombstone) unless a record
+// is bigger than 16 MB, which never happened with our small segments.
+// Records of the new version start with a 2, so there's no confusion.
+// Old segments stay readable and new records are always written in the new format.
+//
+// There's still something that bugs us: the 20 bytes reserved for 'Key'.
+// Longer keys get silently cut, so two different keys sharing their first 20
+// bytes end up being the same key. Shorter keys waste space with NULL bytes
+// and, since we strip those bytes when reading a key back, a key cannot
+// contain NULL bytes itself.
+// The fix is simple: instead of a fixed space, we store the length of the key.
+// Here's the third version of our format:
+//
+// +---------+-----------+---------+-----------+------------+--------------+-------+--------
+// |         |           |         |           |    Key     |    Value     |       |
+// | Version |    CRC    |  Flags  | Timestamp |   Length   |    Length    |  Key  |  Value
+// |         |           |         |           |            |              |       |
+// +---------+-----------+---------+-----------+------------+--------------+-------+--------
+//
+// ^         ^           ^         ^           ^            ^              ^       ^
+// |_1 byte__|__4 bytes__|_1 byte__|__6 bytes__|__2 bytes___|___4 bytes____|_var.__|_var.__
+//
+// Now a key can be any sequence of up to 65535 bytes: an UTF-8 string or
+// some binary data, it doesn't matter.
+// Like Bitcask does, we also store in 'Timestamp' the time the record has been
+// written, in milliseconds. It's handy when looking into a segment and we'll
+// put it to good use later.
+// Again, 'CRC' covers everything that follows it and records of this version
+// start with a 3. The older versions are still readable.
+//
+// Some keys are meant to disappear after a while, like sessions or cached stuff.
+// When a record has an expiration time, it has a flag set in 'Flags' and the
+// time, in milliseconds, is stored in 6 more bytes right after the header,
+// before 'Key'. Records without an expiration time don't waste those bytes.
+//
+// Every write also gets a sequence number, one more than the write before it.
+// It's stored in 6 more bytes after the expiration time, if any, and there's
+// a flag for it too, since older records don't have one.
+//
+// Values can also be compressed, if we're asked to. Another couple of flags
+// tell us if 'Value' has been compressed, and how. Records without those flags,
+// like the ones written before we knew about compression, are read as they are.
+//
+// Let's write some code to represent these structures.
 
-// These are some constants representing 'Header' and 'Key' length,
-// respectively 4 and 20 bytes.
+// These are some constants representing 'Header' and 'Key' length of the
+// first version, respectively 4 and 20 bytes.
 const HEADER_LENGTH = 4
 const KEY_LENGTH = 20
 
+// This is the bit of 'Header' that marks a tombstone
+const TOMBSTONE_FLAG = 0x80000000
+
+// These are for the second version of the format.
+// Its header is made of 'Version', 'CRC', 'Flags' and 'Length', 10 bytes in total.
+const FORMAT_V2 = 2
+const V2_HEADER_LENGTH = 10
+
+// And these are for the third version, the one we write.
+// Its header is 18 bytes long and keys can't be longer than 65535 bytes.
+const FORMAT_V3 = 3
+const V3_HEADER_LENGTH = 18
+const MAX_KEY_LENGTH = 0xFFFF
+
+// These are the flags we can set in the 'Flags' byte.
+// We'll see what batches and commits are about later.
+const FLAG_TOMBSTONE = 0x01
+const FLAG_BATCH = 0x02
+const FLAG_COMMIT = 0x04
+const FLAG_EXPIRES = 0x08
+const FLAG_DEFLATE = 0x10
+const FLAG_BROTLI = 0x20
+const FLAG_SEQUENCE = 0x40
+
+// These are the lengths of the expiration time and of the sequence number
+const EXPIRES_LENGTH = 6
+const SEQUENCE_LENGTH = 6
+
+// This is how many bytes between the header and the key the flags ask for
+function extraLength(flags) {
+    return (flags & FLAG_EXPIRES ? EXPIRES_LENGTH : 0) + (flags & FLAG_SEQUENCE ? SEQUENCE_LENGTH : 0)
+}
+
+// And these are the compressions we know about, courtesy of Node's zlib,
+// each one with its own flag
+const COMPRESSIONS = {
+    deflate: {
+        flag: FLAG_DEFLATE,
+        compress: util.promisify(zlib.deflate),
+        decompress: util.promisify(zlib.inflate)
+    },
+    brotli: {
+        flag: FLAG_BROTLI,
+        compress: util.promisify(zlib.brotliCompress),
+        decompress: util.promisify(zlib.brotliDecompress)
+    }
+}
+
+// Here we build a lookup table to compute CRC32 checksums one byte at a time.
+// This is the same CRC32 used by zip, gzip and PNG files.
+const CRC_TABLE = new Uint32Array(256)
+for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    CRC_TABLE[n] = c
+}
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// Keys can be strings or buffers, but on disk they are just bytes.
+// Our indexes are Maps, and a Map compares buffers by reference, not by content,
+// so we need a string to use as key in our indexes.
+// We use 'latin1' to convert the bytes of a key into a string: every byte becomes
+// exactly one character, so no information is lost and we can always go back.
+function toIndexKey(key) {
+    return Buffer.from(key).toString('latin1')
+}
+
+function fromIndexKey(indexKey) {
+    return Buffer.from(indexKey, 'latin1')
+}
+
+// When we give keys back, they are UTF-8 strings. Not every key is valid UTF-8, though,
+// so we can ask for their bytes instead with the 'keyEncoding: "binary"' option
+function decodeKey(indexKey, { keyEncoding } = {}) {
+    const key = fromIndexKey(indexKey)
+    return keyEncoding === 'binary' ? key : key.toString()
+}
+
 // Then, we need a couple of helper functions: pack and unpack.
 //
 // Given a key and a value, 'pack' will allocate and return a buffer
 // with the structure discussed above.
-function pack(key, value) {
-    // some space for the key is allocated
-    const keyBuffer = Buffer.alloc(KEY_LENGTH)
-
-    // and the key is written in that buffer
-    keyBuffer.write(key)
+// A null value means we want to pack a tombstone for the key.
+// The timestamp of the record defaults to now, we can set some more flags,
+// the time the key expires at, if it does, and the sequence number of the write.
+function pack(key, value, { timestamp = Date.now(), flags = 0, expiresAt = 0, seq = 0 } = {}) {
+    const tombstone = value === null
+    if (tombstone) flags |= FLAG_TOMBSTONE
+    if (expiresAt) flags |= FLAG_EXPIRES
+    if (seq) flags |= FLAG_SEQUENCE
+
+    // first we convert the key in a buffer
+    const keyBuffer = Buffer.from(key)
+    if (keyBuffer.length > MAX_KEY_LENGTH) {
+        throw new Error(`Key is too long, ${keyBuffer.length} bytes exceed the maximum of ${MAX_KEY_LENGTH}`)
+    }
 
     // then we convert the value in a buffer
-    const valueBuffer = Buffer.from(value)
+    // a tombstone has no value at all
+    const valueBuffer = tombstone ? Buffer.alloc(0) : Buffer.from(value)
 
-    // and we concatenate the key buffer with the value buffer
-    const keyValueBuffer = Buffer.concat([keyBuffer, valueBuffer])
+    // we allocate some space for the header, and for expiration time and sequence number if needed
+    const header = Buffer.alloc(V3_HEADER_LENGTH + extraLength(flags))
 
-    // we can now allocate some space for the length of the new packet
-    const header = Buffer.alloc(HEADER_LENGTH)
+    // and we fill in version, flags, timestamp and the lengths of key and value
+    header.writeUInt8(FORMAT_V3, 0)
+    header.writeUInt8(flags, 5)
+    header.writeUIntBE(timestamp, 6, 6)
+    header.writeUInt16BE(keyBuffer.length, 12)
+    header.writeUInt32BE(valueBuffer.length, 14)
+    if (expiresAt) header.writeUIntBE(expiresAt, V3_HEADER_LENGTH, EXPIRES_LENGTH)
+    if (seq) header.writeUIntBE(seq, V3_HEADER_LENGTH + extraLength(flags & FLAG_EXPIRES), SEQUENCE_LENGTH)
 
-    // and we can write the length of the concatenated key and value
-    header.writeUInt32BE(keyValueBuffer.length, 0)
+    // a new buffer with header + key + value is built
+    const record = Buffer.concat([header, keyBuffer, valueBuffer])
 
-    // a new buffer with header + key + value is returned
-    return Buffer.concat([header, keyValueBuffer])
+    // and finally we compute the checksum of everything after the 'CRC' field
+    record.writeUInt32BE(crc32(record.slice(5)), 1)
+
+    return record
+}
+
+// Given a buffer holding at least the header of a record, 'recordSize' tells us
+// how big the whole record is, header included.
+// It returns null if there are not enough bytes to know it.
+function recordSize(buffer, position) {
+    if (buffer[position] === FORMAT_V3) {
+        if (buffer.length < position + V3_HEADER_LENGTH) return null
+        return V3_HEADER_LENGTH + extraLength(buffer[position + 5]) + buffer.readUInt16BE(position + 12) + buffer.readUInt32BE(position + 14)
+    }
+
+    if (buffer[position] === FORMAT_V2) {
+        if (buffer.length < position + V2_HEADER_LENGTH) return null
+        return V2_HEADER_LENGTH + buffer.readUInt32BE(position + 6)
+    }
+
+    // this is a record of the first version
+    if (buffer.length < position + HEADER_LENGTH) return null
+    return HEADER_LENGTH + (buffer.readUInt32BE(position) & ~TOMBSTONE_FLAG)
+}
+
+// 'readRecord' decodes the record found in a buffer at the given position.
+// It returns null when the buffer ends before the record does, that is
+// when the record has been cut off.
+// Otherwise it returns the key (as a buffer), the value, the size of the record,
+// its timestamp and flags, when it expires (0 if it doesn't), its sequence number
+// (0 if it has none), whether it is a tombstone and whether its checksum is valid.
+function readRecord(buffer, position) {
+    const size = recordSize(buffer, position)
+    if (size === null || buffer.length < position + size) return null
+
+    const record = buffer.slice(position, position + size)
+
+    if (record[0] === FORMAT_V3) {
+        const flags = record[5]
+        const seqStart = V3_HEADER_LENGTH + extraLength(flags & FLAG_EXPIRES)
+        const keyStart = V3_HEADER_LENGTH + extraLength(flags)
+        const keyEnd = keyStart + record.readUInt16BE(12)
+        return {
+            key: record.slice(keyStart, keyEnd),
+            value: record.slice(keyEnd),
+            size,
+            timestamp: record.readUIntBE(6, 6),
+            expiresAt: flags & FLAG_EXPIRES ? record.readUIntBE(V3_HEADER_LENGTH, EXPIRES_LENGTH) : 0,
+            seq: flags & FLAG_SEQUENCE ? record.readUIntBE(seqStart, SEQUENCE_LENGTH) : 0,
+            flags,
+            tombstone: (record[5] & FLAG_TOMBSTONE) !== 0,
+            valid: record.readUInt32BE(1) === crc32(record.slice(5))
+        }
+    }
+
+    // records of the first version have no checksum, we just trust them
+    let headerLength = HEADER_LENGTH
+    let tombstone = record.readUInt32BE(0) >= TOMBSTONE_FLAG
+    let flags = tombstone ? FLAG_TOMBSTONE : 0
+    let valid = true
+
+    if (record[0] === FORMAT_V2) {
+        headerLength = V2_HEADER_LENGTH
+        flags = record[5]
+        tombstone = (flags & FLAG_TOMBSTONE) !== 0
+        valid = record.readUInt32BE(1) === crc32(record.slice(5))
+    }
+
+    // the first two versions have a fixed space for the key, padded with NULL bytes
+    // that we need to remove
+    let keyEnd = headerLength + KEY_LENGTH
+    while (keyEnd > headerLength && record[keyEnd - 1] === 0) keyEnd--
+
+    const key = record.slice(headerLength, keyEnd)
+    const value = record.slice(headerLength + KEY_LENGTH)
+
+    // and they don't know when they have been written
+    const timestamp = 0
+
+    return { key, value, size, timestamp, expiresAt: 0, seq: 0, flags, tombstone, valid }
 }
 
 // 'unpack' will retrieve a value given a file descriptor and a position inside
@@ -107,24 +371,182 @@ function pack(key, value) {
 //
 // This is related with how we will indexing our data and it will be more clear later.
 async function unpack(fd, position) {
-    // first we read the length of the packet and store it in a buffer
-    const headerBuffer = Buffer.allocUnsafe(HEADER_LENGTH)
-    await read(fd, headerBuffer, 0, HEADER_LENGTH, position)
+    const record = await readRecordAt(fd, position)
+
+    // a tombstone has no value, the key has been deleted
+    if (record.tombstone) return null
+
+    // now we are left with just the value of the key, as raw bytes:
+    // turning them into something useful is up to the value encoding, see below
+    return decompress(record)
+}
+
+// 'readRecordAt' does the actual reading for 'unpack', and gives us the whole record
+async function readRecordAt(fd, position) {
+    // first we read the header of the record and store it in a buffer
+    // we don't know the version yet, so we read enough bytes for the bigger header
+    // (the expiration time is not needed to know the size of the record)
+    const headerBuffer = Buffer.alloc(V3_HEADER_LENGTH)
+    const { bytesRead } = await read(fd, headerBuffer, 0, V3_HEADER_LENGTH, position)
+
+    // now we know how big the record is
+    const size = recordSize(headerBuffer.slice(0, bytesRead), 0)
+    if (size === null) throw new Error(`Truncated record at position ${position}`)
+
+    // we read 'size' worth of bytes starting from the position given as parameter
+    const recordBuffer = Buffer.allocUnsafe(size)
+    const recordRead = await read(fd, recordBuffer, 0, size, position)
+
+    // and we decode it, making sure it's not broken
+    const record = readRecord(recordBuffer.slice(0, recordRead.bytesRead), 0)
+    if (!record || !record.valid) throw new Error(`Corrupted record at position ${position}`)
+
+    return record
+}
+
+// A compressed value gets decompressed, any other value is already what we stored
+async function decompress(record) {
+    for (const compression of Object.values(COMPRESSIONS)) {
+        if (record.flags & compression.flag) return compression.decompress(record.value)
+    }
+
+    return record.value
+}
+
+// We store bytes, but users of PicoKV want to store strings, objects, images...
+// A value encoding is a pair of functions: 'encode' turns a value into bytes
+// (a buffer, or a string we'll turn into UTF-8 bytes) and 'decode' turns
+// the bytes back into the value. These are the ones we have out of the box,
+// users can bring their own.
+const VALUE_ENCODINGS = {
+    utf8: {
+        encode: value => Buffer.isBuffer(value) ? value : String(value),
+        decode: buffer => buffer.toString()
+    },
+    binary: {
+        encode: value => Buffer.from(value),
+        decode: buffer => buffer
+    },
+    json: {
+        encode: value => JSON.stringify(value),
+        decode: buffer => JSON.parse(buffer.toString())
+    },
+
+    // This one is for the values of our HTTP server (see server.js), which keeps
+    // bodies as they were sent, bytes and all, along with their content type so that
+    // it can give it back. Values are { type, body } objects, and this is how we store them:
+    // a zero byte, the length of the content type in 2 bytes, the content type
+    // and then the body.
+    // Values stored before the server did this are just text, and they never start with a zero byte.
+    http: {
+        encode: ({ type, body }) => {
+            const header = Buffer.alloc(3)
+            header.writeUInt16BE(Buffer.byteLength(type), 1)
+            return Buffer.concat([header, Buffer.from(type), body])
+        },
+        decode: buffer => {
+            if (buffer[0] !== 0) return { type: 'text/plain; charset=utf-8', body: buffer }
+
+            const typeEnd = 3 + buffer.readUInt16BE(1)
+            return { type: buffer.toString('utf8', 3, typeEnd), body: buffer.slice(typeEnd) }
+        }
+    }
+}
+VALUE_ENCODINGS.buffer = VALUE_ENCODINGS.binary
+
+// 'valueEncoding' gives us the encoding for the 'valueEncoding' option,
+// either one of ours given its name or a custom one
+function valueEncoding(encoding = 'utf8') {
+    if (typeof encoding === 'string' && VALUE_ENCODINGS.hasOwnProperty(encoding)) return VALUE_ENCODINGS[encoding]
+    if (encoding && typeof encoding.encode === 'function' && typeof encoding.decode === 'function') return encoding
+    throw new Error(`Invalid value encoding: ${encoding}`)
+}
+
+// 'scanSegment' walks through all the records of a segment, given its content.
+// For each record it returns an entry with the key (in the form we use in our indexes),
+// its position and size, its timestamp, when it expires, its sequence number
+// and whether it is a tombstone.
+// It stops at the first record that is cut off or broken, and it tells us
+// the size of the segment up to that point.
+// A record that is cut off, or broken right up to the end of the segment, is the one
+// we were writing when we crashed: a torn tail. A broken record with more data after it
+// is something else, the segment got corrupted, and it tells us so.
+// When the length of a record is what got broken, the record looks cut off even if
+// it's not: but a torn tail is the last thing in its segment, so if we find a good
+// record after it, that's corruption too.
+// Records written by a batch are returned only if the batch has been committed.
+function scanSegment(data) {
+    const entries = []
+
+    // Here we collect the entries of the batch we are going through, if any,
+    // and where the batch starts
+    let batch = null
+    let batchStart = 0
+    let corrupted = false
+
+    // We consume the whole buffer
+    let position = 0
+    while (position < data.length) {
+        // Reading each key-value record
+        const record = readRecord(data, position)
+        if (!record || !record.valid) {
+            corrupted = (record !== null && position + record.size < data.length) || recordFollows(data, position + 1)
+            break
+        }
+
+        const entry = {
+            key: toIndexKey(record.key),
+            tombstone: record.tombstone,
+            position,
+            size: record.size,
+            timestamp: record.timestamp,
+            expiresAt: record.expiresAt,
+            seq: record.seq
+        }
+
+        if (record.flags & FLAG_COMMIT) {
+            // The commit marker tells us how many records are in the batch,
+            // if they are all there the batch is good
+            if (batch && batch.length === record.value.readUInt32BE(0)) {
+                entries.push(...batch)
+            }
+            batch = null
+        } else if (record.flags & FLAG_BATCH) {
+            if (!batch) {
+                batch = []
+                batchStart = position
+            }
+            batch.push(entry)
+        } else {
+            // A batch can't be interrupted by another record,
+            // if this happens the batch is not good
+            batch = null
+            entries.push(entry)
+        }
+
+        // And incrementing the position reaching the next key
+        position += record.size
+    }
+
+    // A batch without its commit marker at the end of the segment has been
+    // interrupted by a crash, so we pretend it has never been written
+    if (batch) position = batchStart
 
-    // we convert the length in an integer
-    // 'Header' is encoded in big endian
-    const length = headerBuffer.readUInt32BE(0)
+    return { entries, size: position, corrupted }
+}
 
-    // we read 'length' worth of bytes starting from the position given as parameter
-    const contentBuffer = Buffer.allocUnsafe(length)
-    await read(fd, contentBuffer, 0, length, position + HEADER_LENGTH)
+// 'recordFollows' tells whether there's a good record anywhere in a segment after
+// the given position. We don't know where records start anymore, so we try every
+// byte that looks like the start of a record, and only a good checksum convinces us
+function recordFollows(data, position) {
+    for (let i = position; i < data.length; i++) {
+        if (data[i] !== FORMAT_V3) continue
 
-    // the buffer we just read contains the key along with the value
-    // so we need to slice the key out
-    const value = contentBuffer.slice(KEY_LENGTH).toString()
+        const record = readRecord(data, i)
+        if (record && record.valid) return true
+    }
 
-    // now we are left with just the value of the key
-    return value
+    return false
 }
 
 // Now it's time to talk about our strategies to store and retrieve our data.
@@ -189,9 +611,10 @@ async function unpack(fd, position) {
 // When we need to write down some data and the segment we're writing to gets too big,
 // we create a new segment.
 //
-// We can then schedule a job that goes through all the segments' indexes except the
-// current one, get the latest value for each key and create a new compacted segment
-// file without the obsolete values.
+// We can then schedule a job that goes through the segments' indexes except the
+// current one, picks the segments that are mostly made of obsolete values, gets the
+// latest value for each of their keys and writes them in new compacted segment
+// files without the obsolete values.
 // The old files could now be just deleted, they are not useful anymore.
 // We'll see the details of this process soon.
 //
@@ -203,6 +626,108 @@ async function unpack(fd, position) {
 const DEFAULT_MAX_SEGMENT_SIZE = 500 * 1024
 const DEFAULT_COMPACTION_INTERVAL = 10 * 1000
 
+// A segment is worth compacting when at least half of it is garbage
+const DEFAULT_GARBAGE_RATIO = 0.5
+
+// These are the ways we can make sure our writes reach the disk, see 'PicoKV._append'.
+// When we sync every now and then, we do it every second unless told otherwise.
+const SYNC_POLICIES = ['always', 'interval', 'never']
+const DEFAULT_SYNC_INTERVAL = 1000
+
+// Compressing small values is not worth it, so we only compress values
+// of at least 1 kb unless told otherwise
+const DEFAULT_COMPRESSION_THRESHOLD = 1024
+
+// 'selectKeys' picks from a sorted keydir the keys we are interested in,
+// as described by the options of 'PicoKV.keys'. Only the keys that 'isLive'
+// is happy with make it.
+function selectKeys(keydir, { prefix, gt, lt, limit, reverse } = {}, isLive) {
+    // We look for the range of the keydir we are interested in, using
+    // binary searches to find where it starts and where it ends
+    let start = 0
+    let end = keydir.length
+
+    if (gt !== undefined) {
+        start = bisect(keydir, toIndexKey(gt))
+        if (keydir[start] === toIndexKey(gt)) start++
+    }
+
+    if (lt !== undefined) {
+        end = Math.min(end, bisect(keydir, toIndexKey(lt)))
+    }
+
+    if (prefix !== undefined) {
+        // Every key starting with the prefix comes after the prefix itself and
+        // before the prefix followed by a character bigger than any byte
+        const indexPrefix = toIndexKey(prefix)
+        start = Math.max(start, bisect(keydir, indexPrefix))
+        end = Math.min(end, bisect(keydir, indexPrefix + '\u0100'))
+    }
+
+    const range = keydir.slice(start, Math.max(start, end))
+    if (reverse) range.reverse()
+
+    const keys = []
+    for (const key of range) {
+        if (limit !== undefined && keys.length >= limit) break
+        if (isLive(key)) keys.push(key)
+    }
+
+    return keys
+}
+
+// Here we keep the lock files taken by this process, see 'PicoKV._lock'
+const locks = new Set()
+
+// This tells us if a process is running, given its PID.
+// Sending the signal 0 does nothing, but fails if there's no such process.
+// If it fails because we are not allowed to signal it, it's still there.
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0)
+        return true
+    } catch (err) {
+        return err.code === 'EPERM'
+    }
+}
+
+// This tells us if an entry of our indexes has expired, now or at some other time
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== 0 && entry.expiresAt <= now
+}
+
+// 'expiration' turns a time to live, in milliseconds, into the time a key
+// written at 'timestamp' expires at. No time to live means it never does.
+function expiration(timestamp, ttl) {
+    if (ttl === undefined || ttl === null) return 0
+    if (!Number.isInteger(ttl) || ttl <= 0) throw new Error(`Invalid ttl: ${ttl}`)
+    return timestamp + ttl
+}
+
+// Given a sorted array, 'bisect' finds the position of a value in it, or the
+// position where it should be inserted to keep the array sorted
+function bisect(array, value) {
+    let low = 0
+    let high = array.length
+    while (low < high) {
+        const middle = (low + high) >>> 1
+        if (array[middle] < value) low = middle + 1
+        else high = middle
+    }
+    return low
+}
+
+// 'mergeSorted' merges two sorted arrays into a new sorted one
+function mergeSorted(a, b) {
+    const merged = []
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) merged.push(a[i] < b[j] ? a[i++] : b[j++])
+    while (i < a.length) merged.push(a[i++])
+    while (j < b.length) merged.push(b[j++])
+    return merged
+}
+
 // Here's our main class PicoKV. It extends EventEmitter so we can listen to its event, like
 // when a compaction starts or a key is set.
 class PicoKV extends EventEmitter {
@@ -213,274 +738,2088 @@ class PicoKV extends EventEmitter {
         var options = options || {}
         this._segmentsSize = options.segmentsSize || DEFAULT_MAX_SEGMENT_SIZE
         this._compactionInterval = options.compactionInterval || DEFAULT_COMPACTION_INTERVAL
+        this._garbageRatio = options.garbageRatio === undefined ? DEFAULT_GARBAGE_RATIO : options.garbageRatio
+        if (!(this._garbageRatio >= 0 && this._garbageRatio <= 1)) throw new Error(`Invalid garbage ratio: ${this._garbageRatio}`)
+        this._sync = options.sync || 'never'
+        this._syncInterval = options.syncInterval || DEFAULT_SYNC_INTERVAL
+        if (!SYNC_POLICIES.includes(this._sync)) throw new Error(`Invalid sync option: ${this._sync}`)
+
+        // How values are turned into bytes and back, UTF-8 strings unless told otherwise
+        this._valueEncoding = valueEncoding(options.valueEncoding)
+
+        // And how they are compressed, if they are: 'deflate' or 'brotli'
+        this._compression = options.compression || null
+        this._compressionThreshold = options.compressionThreshold || DEFAULT_COMPRESSION_THRESHOLD
+        if (this._compression && !COMPRESSIONS.hasOwnProperty(this._compression)) {
+            throw new Error(`Invalid compression: ${this._compression}`)
+        }
 
-        // This is where all our segments will be written on disk
-        this._dbPath = './db/'
+        // This is where all our segments will be written on disk, './db/' unless
+        // we are told otherwise. We make sure it ends with a separator, since
+        // we'll append file names to it
+        this._dbPath = path.join(options.path || './db', path.sep)
 
         // And here we will store all the indexes for our segments
         // remember that each segment will have its own index
         this._indexes = []
 
-        // We need to rebuild the indexes from segments' data on disk is available
-        // we'll get to it later
-        this._loadExistingData()
+        // All our keys, sorted, and the ones that came and went since we sorted them.
+        // We'll see why later
+        this._keydir = []
+        this._keydirChanges = new Map()
+
+        // Here we keep the reads that are going on, so that we don't close
+        // a segment under their feet
+        this._reads = new Set()
+
+        // And the writes, from the moment they are called (see '_accept')
+        this._writes = new Set()
+
+        // And here the indexes of the segments we wrote to since the last fsync
+        this._unsynced = new Set()
+
+        // The snapshots that are still around, and the segments that
+        // compaction would have deleted if those snapshots didn't need them
+        this._snapshots = new Set()
+        this._retired = new Set()
+
+        // And here the compaction that is running, if any
+        this._compaction = Promise.resolve()
+
+        // The last sequence number we used to name a segment,
+        // and the last save of the manifest
+        this._sequence = 0
+        this._manifestSaving = Promise.resolve()
+
+        // The sequence number of the last write, the last write applied to our
+        // indexes (see '_write') and the last deletion compaction made us forget
+        // (see 'changes')
+        this._changeSequence = 0
+        this._applying = Promise.resolve()
+        this._turns = Promise.resolve()
+        this._horizon = 0
+
+        // The last write of each key that hasn't been applied to our indexes yet
+        this._pending = new Map()
+
+        // The last read-modify-write of each key, see 'update'
+        this._updating = new Map()
+
+        // What we've been up to, see 'stats'
+        this._stats = {
+            gets: { count: 0, time: 0 },
+            sets: { count: 0, time: 0 },
+            deletes: { count: 0, time: 0 },
+            batches: { count: 0, time: 0 },
+            lastCompaction: null
+        }
+
+        // Getting ready means reading stuff from disk, and we don't want to
+        // block the whole process while we do it, so it happens in the background.
+        // Every operation waits for this promise before doing its job.
+        this._opening = this._open()
+
+        // If opening fails, every operation will fail with the same error,
+        // there's no need to also complain about an unhandled rejection
+        this._opening.catch(() => {})
+    }
+
+    // Creating an instance with 'new' gives us an instance that is still getting
+    // ready. Most of the times we'd rather wait for it to be ready, and know
+    // right away if something went wrong, so we can use this instead:
+    //
+    //     const kv = await PicoKV.open({ path: './db' })
+    //
+    static async open(options) {
+        const kv = new PicoKV(options)
+        await kv._opening
+        return kv
+    }
+
+    async _open() {
+        // We create the directory, and its parents, if we start with nothing
+        await mkdir(this._dbPath, { recursive: true })
+
+        // Only one PicoKV at a time can write to a directory, so we lock it
+        await this._lock()
+
+        try {
+            // We need to rebuild the indexes from segments' data on disk is available
+            // we'll get to it later
+            await this._loadExistingData()
+        } catch (err) {
+            // The segments we got to before failing must be closed too
+            await Promise.all(this._indexes.map(index => close(index.fd)))
+            this._indexes = []
+
+            await this._unlock()
+            throw err
+        }
 
         // We also schedule a job that will look for compaction of old segments
         this._setCompactionJob()
+
+        // And one that syncs our writes to disk, if we have been asked to
+        if (this._sync === 'interval') {
+            this._syncTimer = setInterval(() => {
+                if (this._closing) return
+                this.flush().catch(err => this.emit('error', err))
+            }, this._syncInterval)
+        }
+    }
+
+    // Every operation calls this first: it waits for PicoKV to be ready
+    // and makes sure we are not closing it
+    async _ready() {
+        await this._opening
+        if (this._closing) throw new Error('PicoKV is closed')
+    }
+
+    // Every write calls this instead: a write called before 'close' is accepted,
+    // and 'close' waits for it to be done. We must keep track of it right away,
+    // before waiting for anything, or 'close' could come first and turn it down
+    _accept(write) {
+        if (this._closing) return Promise.reject(new Error('PicoKV is closed'))
+
+        const writing = this._opening.then(write)
+        this._writes.add(writing)
+
+        const forget = () => this._writes.delete(writing)
+        writing.then(forget, forget)
+        return writing
+    }
+
+    // When we are done with PicoKV we have to close it, so that every record
+    // we wrote is safely on disk and every resource is released.
+    // Closing more than once is fine, we'll close just once.
+    // Writes called before 'close' still happen, the ones called after it fail.
+    close() {
+        if (!this._closing) {
+            this._closing = this._close()
+
+            // whoever is waiting for our changes must stop waiting
+            this.emit('close')
+        }
+        return this._closing
+    }
+
+    async _close() {
+        // There's nothing to close if we never managed to open
+        try {
+            await this._opening
+        } catch (err) {
+            return
+        }
+
+        // No more compactions from now on, but we wait for the one
+        // that might be running, and for the writes we accepted
+        clearInterval(this._compactionTimer)
+        clearInterval(this._syncTimer)
+        await Promise.allSettled(this._writes)
+        await this._compaction.catch(() => {})
+
+        // We wait for every write and read still going on, and for
+        // hint files still being written
+        await Promise.all(this._indexes.map(index => index.writing))
+        await Promise.all(this._indexes.map(index => index.hinting))
+        await Promise.allSettled(this._reads)
+        await this._manifestSaving.catch(() => {})
+
+        // Snapshots can't outlive us
+        for (const snapshot of this._snapshots) {
+            await snapshot.release()
+        }
+
+        // Then we make sure everything we wrote reached the disk,
+        // and we close every segment
+        for (const index of this._indexes) {
+            await fsync(index.fd)
+            await close(index.fd)
+        }
+        this._indexes = []
+
+        // Finally, the directory is free for someone else
+        await this._unlock()
     }
 
     // This is our get method that will return a value given a key
     // or null if no such key exists
     async get(key) {
-        // We store the file descriptor of the segment that contain our key here
-        let fd;
+        await this._ready()
+
+        // Remember, our indexes use strings made out of the bytes of the key
+        return this._timed(this._stats.gets, () => this._get(toIndexKey(key)))
+    }
+
+    // 'getEntry' is like 'get', but along with the value it tells us about the
+    // write that put it there: its sequence number, when it happened and when
+    // the key expires (0 if it doesn't). Or it returns null if there's no such key.
+    async getEntry(key) {
+        await this._ready()
+
+        return this._timed(this._stats.gets, async () => {
+            const found = this._find(toIndexKey(key))
+            if (!found) return null
+
+            const { seq, timestamp, expiresAt } = found.entry
+            return { value: await this._read(found.index, found.entry), seq, timestamp, expiresAt }
+        })
+    }
 
-        // And its position on that file here
-        let keyPosition;
+    // '_timed' counts the operations of a kind and how long they took in total,
+    // in milliseconds, failed ones included
+    async _timed(stat, fn) {
+        const start = performance.now()
+        try {
+            return await fn()
+        } finally {
+            stat.count++
+            stat.time += performance.now() - start
+        }
+    }
+
+    async _get(indexKey) {
+        const found = this._find(indexKey)
+
+        // If a position has not been found, the key is not in the store
+        if (!found) return null
+
+        return this._read(found.index, found.entry)
+    }
+
+    async _read(index, entry) {
+        // We can now unpack the value from the appropriate segment
+        // at the correct position, keeping track of the read while it's going on
+        const reading = unpack(index.fd, entry.position)
+        this._reads.add(reading)
+        let value
+        try {
+            value = await reading
+        } finally {
+            this._reads.delete(reading)
+        }
+
+        // and we turn its bytes back into what was set in the first place
+        return value === null ? null : this._valueEncoding.decode(value)
+    }
 
+    // '_find' returns the index holding the most recent entry of a key,
+    // along with the entry itself, or null if the key is not in the store
+    _find(indexKey) {
         // We start looking for a key starting from the most recent index
         // and going backwards
         for (let i = 0; i < this._indexes.length; i++) {
             const index = this._indexes[i]
-            keyPosition = index.data.get(key)
+            const entry = index.data.get(indexKey)
 
             // If we have found the key we'll have a valid offset
-            if (keyPosition !== undefined) {
-                // so we can get a reference to the file containing the key
-                fd = index.fd
+            if (entry !== undefined) {
+                // An expired key is just like a deleted one. Nobody deleted it yet,
+                // so we do it right now, just in memory: we don't need a tombstone,
+                // when we rebuild our indexes we'll find out it expired anyway
+                if (isExpired(entry)) {
+                    this._indexDelete(index, indexKey, entry)
+                    return null
+                }
 
-                // and stop the loop
-                break;
+                return { index, entry }
             }
         }
 
-        // If a position has not been found, the key is not in the store
-        if (keyPosition === undefined) return null
-
-        // We can now unpack the value from the appropriate segment
-        // at the correct position
-        return await unpack(fd, keyPosition)
+        return null
     }
 
-    // and this is our set method that append a key-value pair in the current segment
-    async set(key, value) {
-        // We get the current index
-        // indexes are ordered from the most recent to the oldest
-        let index = this._indexes[0]
+    // and this is our set method that append a key-value pair in the current segment.
+    // We can also tell how long the key should live, in milliseconds:
+    //
+    //     kv.set('session', 'fnord', { ttl: 60 * 1000 })
+    //
+    // And we can write only if the last write of the key is the one we expect,
+    // given its sequence number ('getEntry' tells us), or only if there's no such key
+    // with null. Otherwise we get an error with code 'ECONFLICT'.
+    // Once written, we get the sequence number of our write back:
+    //
+    //     kv.set('counter', '42', { ifSeq: 41 })
+    //     kv.set('counter', '0', { ifSeq: null })
+    //
+    set(key, value, options = {}) {
+        return this._accept(async () => {
+            this._checkWritable()
+
+            const timestamp = Date.now()
+            return this._timed(this._stats.sets, () =>
+                this._put(key, value, { timestamp, expiresAt: expiration(timestamp, options.ttl), ifSeq: options.ifSeq }))
+        })
+    }
 
-        // If we reached the segment size limit we need to create a new file
-        // and a new index to write to
-        if (index.lastPosition > this._segmentsSize) {
-            // We append a timestamp in the file name
-            // this is arbitrary, and is simpler than having a sequence number
-            const segment = `${this._dbPath}picokv-${new Date().getTime()}.pkv`
-
-            // A new index needs to be created for the new segment
-            // here's the anatomy of the index
-            index = {
-                segment, // we have a reference to the segment's name
-                fd: fs.openSync(segment, 'a+'), // a file descriptor of the segment
-                data: new Map(), // a Map which keep the actual key to offset mapping
-                lastPosition: 0 // and the last offset we used
-                                // this is used to check the segment' size
-                                // and to keep track of the last offset used
-            }
+    async _put(key, value, { timestamp, expiresAt, seq, ifSeq }) {
+        // We turn the value into bytes, compressing them if needed.
+        // Compression takes a while, so we start right away, and then we wait
+        // for our turn to pick the segment we'll write to (see '_turn')
+        const { encoded: { bytes, flags }, done } = await this._turn(this._encode(value))
+
+        const indexKey = toIndexKey(key)
+        let entry, written, pending
+        try {
+            if (ifSeq !== undefined) this._checkPrecondition(indexKey, ifSeq)
+
+            // We get the index of the segment we are writing to
+            const index = this._currentIndex()
+
+            // Every write gets the next sequence number, unless it already has one
+            // (we'll see when that happens when we talk about followers)
+            seq = seq || ++this._changeSequence
+
+            // Now we can pack a buffer for the key-value pair
+            const content = pack(key, bytes, { timestamp, flags, expiresAt, seq })
+
+            // We keep track of the position of the record inside the segment,
+            // its size, its timestamp, when it expires and its sequence number
+            entry = { position: index.lastPosition, size: content.length, timestamp, expiresAt, seq }
+
+            // And update the last used offset right away, so that the next write
+            // knows where it will land
+            index.lastPosition += content.length
+
+            // The record can be simply appended at the end of
+            // the file pointed by the most recent index
+            pending = this._pend(indexKey, seq, false)
+            written = this._write(index, content, () => {
+                // Once it's on disk we can point the key to it
+                this._indexSet(index, indexKey, entry)
+
+                // We emit an event after successfully writing a key-value pair
+                // because it's nice to have :-)
+                this.emit('setkey', key, value)
+                this.emit('change', { seq, type: 'put', key, value, expiresAt })
+            })
+        } finally {
+            done()
+        }
 
-            // This will become our current index
-            // so we need to put it in front of the other indexes
-            this._indexes.unshift(index)
+        try {
+            await written
+        } finally {
+            this._unpend(indexKey, pending)
         }
 
-        // Now we can pack a buffer for the key-value pair
-        const content = pack(key, value)
+        return seq
+    }
 
-        // That can be simply appended at the end of
-        // the file pointed by the most recent index
-        await append(index.fd, content)
+    // What about deleting a key? We can't just remove the key from our indexes,
+    // because its value is still there in the segments on disk and it
+    // would come back from the dead as soon as we rebuild our indexes.
+    // So we append a special record, a 'tombstone', that tells us the key
+    // has been deleted, and then we forget about the key in memory.
+    // Deletions can be conditional too, just like in 'set'.
+    delete(key, options = {}) {
+        return this._accept(async () => {
+            this._checkWritable()
+
+            return this._timed(this._stats.deletes, () => this._del(key, { timestamp: Date.now(), ifSeq: options.ifSeq }))
+        })
+    }
 
-        // Keep track of the position of the key inside the segment
-        index.data.set(key, index.lastPosition)
+    async _del(key, { timestamp, seq, ifSeq }) {
+        // A deletion has nothing to encode, but it still waits for its turn
+        const { done } = await this._turn(Promise.resolve(null))
 
-        // And update the last used offset
-        index.lastPosition += content.length
+        const indexKey = toIndexKey(key)
+        let written, pending
+        try {
+            if (ifSeq !== undefined) this._checkPrecondition(indexKey, ifSeq)
 
-        // We emit an event after successfully writing a key-value pair
-        // because it's nice to have :-)
-        this.emit('setkey', key, value)
-    }
+            const index = this._currentIndex()
+            seq = seq || ++this._changeSequence
 
-    // Ok, up until now everything works if we keep our process running.
-    // But what happens if some system failure happens? Like our process die or
-    // the kernel panics.
-    // Data would be safe, because we write all the data to disk (unless we
-    // experience a disk failure and we have no backups, but that's another story).
-    // But all our indexes would be gone, because we keep them in memory.
-    //
-    // We need to rebuild our indexes from the segments we have on disk. This
-    // method is called in the class constructor and is run only we you
-    // create an instance of PicoKV.
-    _loadExistingData() {
-        // This method is also used for initialization if we start with nothing
-        if (!fs.existsSync(this._dbPath)) {
-            fs.mkdirSync(this._dbPath)
-        }
+            // A tombstone is just a record without a value
+            const content = pack(key, null, { timestamp, seq })
+            const entry = { position: index.lastPosition, size: content.length, timestamp, expiresAt: 0, seq }
+            index.lastPosition += content.length
 
-        // Here we will keep the segments we find on disk
-        let segments = []
+            pending = this._pend(indexKey, seq, true)
+            written = this._write(index, content, () => {
+                this._indexDelete(index, indexKey, entry)
 
-        // We have to deal with two kind of segments: compacted and normal
-        // we use two different file extensions to identify those
-        //
-        // .pkvc are compacted segments
-        // .pkv are normal segments
-        //
-        // We need to load compacted segments first because they are filled
-        // with possibly old data and need to be checked after normal segments,
-        // which may contain the most recent value for a given key
-        for (const extension of ['pkvc', 'pkv']) {
-            segments = segments.concat(fs.readdirSync(this._dbPath)
-                .filter(file => file.endsWith(extension)) // we consider one extension at a time
-                .map(segment => ({
-                    file: segment,
-                    // for each file we retrieve the last modification date
-                    mtime: fs.statSync(`${this._dbPath}${segment}`).mtime
-                }))
-                .sort((a, b) => a.mtime.getTime() - b.mtime.getTime()) // we sort files by date
-                .map(segment => `${this._dbPath}${segment.file}`)) // and we just keep the file's name, we don't need the date anymore
+                this.emit('deletekey', key)
+                this.emit('change', { seq, type: 'del', key })
+            })
+        } finally {
+            done()
         }
 
-        // If we find no normal segments, maybe we start from scratch so we create one
-        if (!segments.some(segment => segment.endsWith('.pkv'))) {
-            const segment = `${this._dbPath}picokv-${new Date().getTime()}.pkv`
-            fs.closeSync(fs.openSync(segment, 'w'))
-            segments.push(segment)
+        try {
+            await written
+        } finally {
+            this._unpend(indexKey, pending)
         }
 
-        // For each segment we have to rebuild its index
-        for (const segment of segments) {
-            const data = fs.readFileSync(segment)
-            const fileSize = data.length
+        return seq
+    }
 
-            let index = {
-                segment,
-                fd: fs.openSync(segment, 'a+'),
-                data: new Map(),
-                lastPosition: fileSize
-            }
+    // '_encode' turns a value into the bytes we store in its record,
+    // along with the flags telling how they have been compressed
+    async _encode(value) {
+        return this._compress(Buffer.from(this._valueEncoding.encode(value)))
+    }
 
-            // We consume the whole file
-            let position = 0
-            while (position < fileSize) {
-                // Reading each key-value buffer
-                const length = data.readIntBE(position, HEADER_LENGTH)
+    async _compress(bytes) {
+        if (!this._compression || bytes.length < this._compressionThreshold) return { bytes, flags: 0 }
 
-                // Unpacking just the key
-                const key = data.slice(position + HEADER_LENGTH, position + HEADER_LENGTH + KEY_LENGTH)
-                                .toString()
-                                .replace(/\0/g, '') // removing the NULL bytes
+        const { flag, compress } = COMPRESSIONS[this._compression]
+        const compressed = await compress(bytes)
 
-                // Updating the key offset in our index
-                index.data.set(key, position)
+        // Some values just don't get any smaller, we keep them as they are
+        if (compressed.length >= bytes.length) return { bytes, flags: 0 }
 
-                // And incrementing the position reaching the next key
-                position += length + HEADER_LENGTH
-            }
+        return { bytes: compressed, flags: flag }
+    }
 
-            // Indexes will be collected in a list in reverse order so that
-            // the first one is the index of the most recent segment
-            this._indexes.unshift(index)
+    // A value is compressed the way we compress now if it has the flag of our compression,
+    // or if it's not compressed and too small for us to bother
+    _compressedAsNow({ bytes, flags }) {
+        const flag = this._compression ? COMPRESSIONS[this._compression].flag : 0
+        return flags === flag || (flags === 0 && bytes.length < this._compressionThreshold)
+    }
+
+    // Values are turned into bytes as soon as writes come in, all of them at the same time.
+    // But writes must take their sequence number and their place in the segment in the
+    // order they came, or a small value set right after a big one, which takes longer
+    // to compress, would land first and be overwritten by the older one.
+    // '_turn' waits for the bytes and for every earlier write to take its place.
+    // The write must call 'done' once it has taken its own.
+    async _turn(encoding) {
+        const previous = this._turns
+        let done
+        this._turns = new Promise(resolve => { done = resolve })
+
+        // if encoding fails, we'll hear about it once it's our turn
+        encoding.catch(() => {})
+        await previous
+
+        try {
+            return { encoded: await encoding, done }
+        } catch (err) {
+            done()
+            throw err
         }
     }
 
-    // Now take a deep breath, we're almost done! :-)
-    //
-    // Here is our compaction routine that keeps only the most recent values
-    // for each key in our set and deletes obsolete segments
-    _setCompactionJob() {
-        setInterval(async () => {
-            // First we need an index that will contain the most recent position
-            // of every key
-            const distinctOldKeys = new Map()
-
-            // But we're going to exclude the current segment, the one we're
-            // writing to. That is not a problem because the index of the
-            // current segment will be kept as the first index we check
-            // when we look for a key.
-            // Here, we also start from the oldest index we have, because
-            // we could have a more recent value for a given key in a newer segment.
-            for (let i = this._indexes.length - 1; i > 0; i--) {
-                const index = this._indexes[i]
-
-                // we keep track of index's data
-                const fd = index.fd
-                const oldIndex = index.data
-                const segment = index.segment
-
-                // For every key in the index we keep track of its current offset,
-                // segment and file descriptor.
-                // At the end of the loop we will end up with the most recent
-                // positions of every key.
-                for (let [key, position] of oldIndex) {
-                    distinctOldKeys.set(key, { fd, position, segment })
-                }
-            }
+    // A conditional write must know about the writes of its key that are
+    // still on their way and haven't reached our indexes yet, or it could be
+    // fooled by what the indexes say. So we keep track of the last one of each key.
+    _pend(indexKey, seq, deleted) {
+        const pending = { seq, deleted }
+        this._pending.set(indexKey, pending)
+        return pending
+    }
 
-            // Maybe we have to file to examine, so we have no compaction to do
-            if (distinctOldKeys.size === 0) return
-
-            // Now we can create our compacted segment.
-            // Note that in our implementation compacted segments do not follow
-            // the maximum segment limit like normal segment do. This is by choice,
-            // in order to keep the implementation straightforward
-            //
-            // Compacted segments will have a .pkvc extension as we saw earlier
-            const segment = `${this._dbPath}picokv-${new Date().getTime()}.pkvc`
-            const fd = await open(segment, 'a+')
-
-            // Compacted files will have their index, of course
-            const compactedIndex = {
-                fd,
-                segment,
-                data: new Map(),
-                lastPosition: 0
-            }
+    _unpend(indexKey, pending) {
+        if (this._pending.get(indexKey) === pending) this._pending.delete(indexKey)
+    }
 
-            // For each key we found
-            for (let [key, data] of distinctOldKeys) {
-                // We unpack the key's value for the correct segment
-                const value = await unpack(data.fd, data.position)
+    // This is the sequence number of the last write of a key, or null if there's no such key
+    _currentSeq(indexKey) {
+        const pending = this._pending.get(indexKey)
+        if (pending) return pending.deleted ? null : pending.seq
 
-                // We repack the value in a new buffer
-                const content = pack(key, value)
+        const found = this._find(indexKey)
+        return found ? found.entry.seq : null
+    }
 
-                // And append it to the compacted segment we're creating
-                await append(fd, content)
+    _checkPrecondition(indexKey, ifSeq) {
+        if (this._currentSeq(indexKey) === ifSeq) return
 
-                // Finally we can update the index for the compacted segment
-                compactedIndex.data.set(key, compactedIndex.lastPosition)
-                compactedIndex.lastPosition += content.length
-            }
+        const err = new Error(`Key ${fromIndexKey(indexKey)} has changed`)
+        err.code = 'ECONFLICT'
+        throw err
+    }
 
-            // Now we can put our new file to good use by just inserting its
-            // index in the list of searchable indexes.
-            // Note that up until now no read has been blocked because we were
-            // still using the obsolete segments we have just compacted.
-            // We insert the new index in second position, just before the
-            // index of the current segment we are writing to, removing all the
-            // other indexes at the same time thanks to Array.splice() function.
-            const obsoleteIndexes = this._indexes.splice(1, this._indexes.length - 1, compactedIndex)
-
-            // We can now safely delete every obsolete segment
-            obsoleteIndexes.forEach(async idx => {
-                await close(idx.fd)
-                unlink(idx.segment)
-            })
+    // Writes land on disk in the order they are made on each segment, but a write
+    // on a new segment could land before the last ones on the previous segment.
+    // We want everyone to see writes in the order of their sequence numbers,
+    // so once on disk they are applied to our indexes one after the other,
+    // and '_write' chains each one to the previous.
+    _write(index, content, apply) {
+        const written = this._append(index, content)
+        const applied = this._applying.then(() => written).then(apply)
 
-            // And emit a nice event at the end of the whole process
-            const deletedIndexes = obsoleteIndexes.map(idx => idx.segment)
-            this.emit('compacted', deletedIndexes, segment)
-        }, this._compactionInterval)
+        // a failed write should not block the ones that follow it
+        this._applying = applied.catch(() => {})
+
+        return applied
+    }
+
+    // This is how our indexes learn that a key has a new value, in a record
+    // we wrote in the segment of the given index
+    _indexSet(index, indexKey, entry) {
+        // Whatever the key was before is garbage now
+        this._obsolete(indexKey)
+
+        // If the key is new, it takes its place among the sorted keys
+        if (!this._indexes.some(idx => idx.data.has(indexKey))) this._keydirChanges.set(indexKey, true)
+
+        index.data.set(indexKey, entry)
+        index.tombstones.delete(indexKey)
+    }
+
+    // And this is how they learn that a key has been deleted
+    _indexDelete(index, indexKey, entry) {
+        // Whatever the key was before is garbage now, unless it's the record that
+        // just expired: that's still the last word about the key, like a tombstone
+        this._obsolete(indexKey, entry)
+
+        // The key is removed from every index, so that 'get' won't find it
+        // and compaction will leave it out of the compacted segment
+        for (const idx of this._indexes) {
+            idx.data.delete(indexKey)
+        }
+
+        // And from the sorted keys
+        this._keydirRemove(indexKey)
+
+        // But we remember that the segment holds a tombstone for the key,
+        // we'll need it when writing hint files
+        index.tombstones.set(indexKey, entry)
+    }
+
+    // When a key gets a new record, the last one it had becomes garbage. We keep count
+    // of how many bytes of garbage every segment holds, so that compaction knows
+    // which segments are worth compacting
+    _obsolete(indexKey, entry) {
+        const last = this._lastRecord(indexKey)
+        if (last && last.entry !== entry) last.index.garbage += last.entry.size
+    }
+
+    // The last record of a key, a value or a tombstone, along with the index it's in
+    _lastRecord(indexKey) {
+        for (const index of this._indexes) {
+            const entry = index.data.get(indexKey) || index.tombstones.get(indexKey)
+            if (entry !== undefined) return { index, entry }
+        }
+
+        return null
+    }
+
+    // A key leaves the sorted keys only when no index has a value for it
+    _keydirRemove(indexKey) {
+        this._keydirChanges.set(indexKey, false)
     }
+
+    // Reading a key and then writing it is not enough when we want a counter:
+    // two processes reading 41 both write 42. 'update' reads the value of a key,
+    // hands it to a function (null if there's no such key) and writes what the function
+    // returns, or nothing if it returns undefined. It gives us back the new value:
+    //
+    //     await kv.update('visitors', value => String(Number(value) + 1))
+    //
+    // Updates of the same key wait for each other, and if a plain 'set' or 'delete'
+    // sneaks in while we're reading we just start over, so no write ever gets lost.
+    // The key keeps its expiration, if it has one.
+    update(key, fn) {
+        return this._accept(async () => {
+            this._checkWritable()
+
+            const indexKey = toIndexKey(key)
+            return this._exclusive(indexKey, async () => {
+                for (;;) {
+                    // A write that is still on its way to disk is not in our indexes yet,
+                    // we wait for it to land before reading
+                    while (this._pending.has(indexKey)) await this._applying
+
+                    const found = this._find(indexKey)
+                    const value = found ? await this._read(found.index, found.entry) : null
+                    const next = await fn(value)
+                    if (next === undefined) return value
+
+                    try {
+                        await this._timed(this._stats.sets, () => this._put(key, next, {
+                            timestamp: Date.now(),
+                            expiresAt: found ? found.entry.expiresAt : 0,
+                            ifSeq: found ? found.entry.seq : null
+                        }))
+                        return next
+                    } catch (err) {
+                        if (err.code !== 'ECONFLICT') throw err
+                    }
+                }
+            })
+        })
+    }
+
+    // '_exclusive' runs 'fn' once every other read-modify-write of the key is done
+    async _exclusive(indexKey, fn) {
+        const running = (this._updating.get(indexKey) || Promise.resolve()).then(fn)
+        const done = running.catch(() => {})
+        this._updating.set(indexKey, done)
+
+        try {
+            return await running
+        } finally {
+            if (this._updating.get(indexKey) === done) this._updating.delete(indexKey)
+        }
+    }
+
+    // With 'update' we can write a key only if it has the value we expect, or only
+    // if it doesn't exist with null. We find out whether it happened:
+    //
+    //     await kv.compareAndSet('leader', null, 'node-1') // true, we're the leader
+    //     await kv.compareAndSet('leader', null, 'node-2') // false, node-1 is
+    //
+    async compareAndSet(key, expected, next) {
+        let swapped = false
+        await this.update(key, value => {
+            if (!util.isDeepStrictEqual(value, expected)) return undefined
+
+            swapped = true
+            return next
+        })
+
+        return swapped
+    }
+
+    // And our counters. They work with values that turn into numbers,
+    // which means the 'utf8' and 'json' encodings. We get the new count back:
+    //
+    //     await kv.incr('visitors')     // 1
+    //     await kv.incr('visitors', 10) // 11
+    //
+    async incr(key, by = 1) {
+        if (!Number.isFinite(by)) throw new Error(`Cannot increment by ${by}`)
+
+        const count = await this.update(key, value => {
+            const count = value === null ? 0 : Number(value)
+            if (!Number.isFinite(count)) throw new Error(`Key ${key} is not a number`)
+
+            const next = count + by
+            return typeof value === 'string' ? String(next) : next
+        })
+
+        return Number(count)
+    }
+
+    // Sometimes we need to change some keys together: either all the changes
+    // happen, or none of them. If we crash between two 'set' calls, only the first
+    // one happens. That's why we have batches:
+    //
+    //     await kv.batch([
+    //         { type: 'put', key: 'from', value: '10', ttl: 60 * 1000 },
+    //         { type: 'put', key: 'to', value: '32' },
+    //         { type: 'del', key: 'transfer' }
+    //     ])
+    //
+    // All the records of a batch are written one after the other, with a flag
+    // telling they belong to a batch, with a single write. At the end there's one
+    // more record, the 'commit marker', holding the number of records in the batch.
+    // If we crash while writing, the commit marker won't be there, and when we
+    // rebuild our indexes we ignore the whole batch.
+    // Compaction only copies what's in our indexes, so it never sees half a batch.
+    batch(operations) {
+        return this._accept(async () => {
+            this._checkWritable()
+
+            for (const { type } of operations) {
+                if (type !== 'put' && type !== 'del') throw new Error(`Unknown batch operation '${type}'`)
+            }
+
+            if (operations.length === 0) return
+
+            return this._timed(this._stats.batches, () => this._batch(operations))
+        })
+    }
+
+    async _batch(operations) {
+        // Just like 'set' does, we turn values into bytes first, and wait for our turn
+        const { encoded: values, done } = await this._turn(Promise.all(operations.map(({ type, value }) => type === 'del' ? null : this._encode(value))))
+
+        let pendings, written
+        try {
+            const index = this._currentIndex()
+            const timestamp = Date.now()
+
+            // We pack a record for each operation, a tombstone for deletions,
+            // and every operation gets its own sequence number
+            const expirations = operations.map(({ type, ttl }) => type === 'del' ? 0 : expiration(timestamp, ttl))
+            const seqs = operations.map((op, i) => this._changeSequence + i + 1)
+            const records = operations.map(({ key }, i) => values[i] === null
+                ? pack(key, null, { timestamp, flags: FLAG_BATCH, seq: seqs[i] })
+                : pack(key, values[i].bytes, { timestamp, flags: FLAG_BATCH | values[i].flags, expiresAt: expirations[i], seq: seqs[i] }))
+
+            // And then the commit marker, which has no key
+            const count = Buffer.alloc(4)
+            count.writeUInt32BE(records.length, 0)
+            records.push(pack('', count, { timestamp, flags: FLAG_COMMIT }))
+
+            // Packing fails on a bad key, for example, and then the batch never happened.
+            // Now that every record is there, the sequence numbers are ours and the
+            // writes are on their way
+            this._changeSequence += operations.length
+            pendings = operations.map(({ type, key }, i) => this._pend(toIndexKey(key), seqs[i], type === 'del'))
+
+            // Every record gets its position, as usual
+            const entries = records.map((record, i) => {
+                const entry = { position: index.lastPosition, size: record.length, timestamp, expiresAt: expirations[i] || 0, seq: seqs[i] || 0 }
+                index.lastPosition += record.length
+                return entry
+            })
+
+            written = this._write(index, Buffer.concat(records), () => {
+                // Now we can apply the operations to our indexes, in order
+                operations.forEach(({ type, key }, i) => {
+                    if (type === 'del') this._indexDelete(index, toIndexKey(key), entries[i])
+                    else this._indexSet(index, toIndexKey(key), entries[i])
+                })
+
+                // Once the batch is there, nobody needs its commit marker anymore
+                index.garbage += entries[entries.length - 1].size
+
+                // And only when they are all applied we tell everyone about them
+                operations.forEach(({ type, key, value }, i) => {
+                    if (type === 'del') {
+                        this.emit('deletekey', key)
+                        this.emit('change', { seq: seqs[i], type: 'del', key })
+                    } else {
+                        this.emit('setkey', key, value)
+                        this.emit('change', { seq: seqs[i], type: 'put', key, value, expiresAt: expirations[i] })
+                    }
+                })
+            })
+        } finally {
+            done()
+        }
+
+        try {
+            await written
+        } finally {
+            operations.forEach(({ key }, i) => this._unpend(toIndexKey(key), pendings[i]))
+        }
+    }
+
+    // Our indexes are great for finding a key, but they can't tell us which keys
+    // we have in order, or which keys start with some prefix.
+    // For this, we keep all the keys that are in the store in a sorted array,
+    // the 'keydir'. Putting a key in the middle of a big array, or taking it out, means
+    // moving every key after it, and doing that for every new key would make writes
+    // slower and slower. So we just take note of the keys that came and went,
+    // and we update the keydir all at once when someone asks for it: we sort
+    // the new keys, and we merge them with the ones we already had.
+    // Keys are sorted by their bytes, and since our index keys have one character
+    // per byte, comparing them as strings does exactly that.
+    _sortedKeys() {
+        if (this._keydirChanges.size > 0) {
+            // For each key that changed only the last change matters, it tells
+            // whether the key is there or not
+            const added = []
+            for (const [indexKey, live] of this._keydirChanges) {
+                if (live) added.push(indexKey)
+            }
+
+            const kept = this._keydir.filter(indexKey => !this._keydirChanges.has(indexKey))
+            this._keydir = mergeSorted(kept, added.sort())
+            this._keydirChanges.clear()
+        }
+
+        return this._keydir
+    }
+
+    //
+    // 'keys' returns the keys in the store, as UTF-8 strings (or buffers, see 'decodeKey'),
+    // optionally only the ones starting with 'prefix', greater than 'gt' or lower than 'lt'.
+    // We can ask for the keys in reverse order and for at most 'limit' keys.
+    async keys(options) {
+        await this._ready()
+        return this._keys(options).map(indexKey => decodeKey(indexKey, options))
+    }
+
+    // 'entries' goes through the same keys and gives us their values, one pair
+    // of key and value at a time:
+    //
+    //     for await (const [key, value] of kv.entries({ prefix: 'user:' })) { ... }
+    //
+    async *entries(options) {
+        await this._ready()
+
+        for (const indexKey of this._keys(options)) {
+            // a key could be deleted while we're going through them
+            const value = await this._get(indexKey)
+            if (value !== null) yield [decodeKey(indexKey, options), value]
+        }
+    }
+
+    _keys(options) {
+        // Expired keys stay in the keydir until someone looks for them,
+        // '_find' will get rid of them
+        return selectKeys(this._sortedKeys(), options, key => this._find(key))
+    }
+
+    // This returns the index of the segment we are writing to
+    _currentIndex() {
+        // We get the current index
+        // indexes are ordered from the most recent to the oldest
+        let index = this._indexes[0]
+
+        // If we reached the segment size limit we need to create a new file
+        // and a new index to write to
+        if (index.lastPosition > this._segmentsSize) {
+            index = this._rotate()
+        }
+
+        return index
+    }
+
+    // '_rotate' seals the segment we are writing to and starts a new one
+    _rotate() {
+        const segment = this._segmentName('pkv')
+
+        // The segment we were writing to will never change again, so once
+        // its last writes are done we can write its hint file.
+        // Done means applied to its index too, not just on disk: the hint file
+        // is a copy of the index, see '_write'. Every write to the segment
+        // has been chained to '_applying' by now, so we wait for that.
+        // Hint files are just a shortcut, if we fail to write one we'll
+        // read the whole segment instead, so errors are ignored.
+        const sealed = this._indexes[0]
+        sealed.hinting = this._applying.then(() => writeHint(sealed)).catch(() => {})
+
+        // A new index needs to be created for the new segment
+        // here's the anatomy of the index
+        const index = {
+            segment, // we have a reference to the segment's name
+            fd: fs.openSync(segment, 'a+'), // a file descriptor of the segment
+            data: new Map(), // a Map which keep the actual key to position, size and timestamp mapping
+            tombstones: new Map(), // the same for keys whose last record in the segment is a tombstone
+            lastPosition: 0, // and the last offset we used
+                             // this is used to check the segment' size
+                             // and to keep track of the last offset used
+            garbage: 0, // how many bytes hold records that are obsolete, see '_obsolete'
+            writing: Promise.resolve() // the last write on the segment, see '_append'
+        }
+
+        // This will become our current index
+        // so we need to put it in front of the other indexes
+        this._indexes.unshift(index)
+
+        // The manifest must know about the new segment before we write to it,
+        // or we would not find what we wrote when we restart.
+        // If we fail to save it, the next save will get it right.
+        index.writing = this._saveManifest().catch(err => this.emit('error', err))
+
+        return index
+    }
+
+    // Segments are named after a sequence number, which grows every time we
+    // create one. We used to name them after the time they were created, but
+    // two segments can be created in the same millisecond.
+    // The manifest remembers the last number we used, so we never use the same one twice.
+    _segmentName(extension) {
+        this._sequence++
+        return `${this._dbPath}picokv-${String(this._sequence).padStart(12, '0')}.${extension}`
+    }
+
+    // Many writes can be going on at the same time. Each one of them has its
+    // position reserved in the segment, so we must be sure they reach the disk
+    // in the same order. We chain every write on a segment to the previous one.
+    //
+    // Once 'append' is done, our record is in the hands of the operating system,
+    // which will write it on disk when it feels like it. If the power goes off
+    // before that, the record is gone, even if we told someone it was written.
+    // Asking the operating system to write it right now is called fsync, and
+    // it's slow, so we let the user choose with the 'sync' option:
+    //
+    // - 'never' (the default) leaves it to the operating system
+    // - 'interval' does an fsync every 'syncInterval' milliseconds
+    // - 'always' does an fsync before telling anyone their record is written
+    //
+    // An fsync costs the same whether we wrote one record or a hundred, so under
+    // 'always' records arriving while the disk is busy are grouped together,
+    // and then written with a single append and a single fsync.
+    _append(index, content) {
+        if (this._sync === 'always') return this._groupAppend(index, content)
+
+        const write = index.writing.then(() => append(index.fd, content))
+
+        // a failed write should not block the ones that follow it
+        index.writing = write.catch(() => {})
+
+        // we'll need to sync this segment
+        this._unsynced.add(index)
+
+        return write
+    }
+
+    _groupAppend(index, content) {
+        // If there's no group waiting for its turn, we start a new one
+        if (!index.group) {
+            const group = { records: [] }
+            group.written = index.writing.then(async () => {
+                // From now on records will have to wait for the next group
+                index.group = null
+                await append(index.fd, Buffer.concat(group.records))
+                await fsync(index.fd)
+            })
+
+            index.group = group
+            index.writing = group.written.catch(() => {})
+        }
+
+        // And we join the group, records are written in the order they arrive
+        index.group.records.push(content)
+        return index.group.written
+    }
+
+    // 'flush' resolves once every write that happened before it has reached the disk
+    async flush() {
+        await this._ready()
+
+        const syncs = [...this._unsynced].map(index => this._fsync(index))
+        this._unsynced.clear()
+
+        // Under 'always' writes do their own fsync, we just wait for them
+        await Promise.all([...syncs, ...this._indexes.map(index => index.writing)])
+    }
+
+    // An fsync uses the segment just like a read does, so we keep track of it
+    // the same way: compaction won't close the segment while we're at it
+    _fsync(index) {
+        const syncing = index.writing.then(() => fsync(index.fd))
+        this._reads.add(syncing)
+        syncing.catch(() => {}).then(() => this._reads.delete(syncing))
+        return syncing
+    }
+
+    // Two PicoKV instances writing to the same directory would append their
+    // records to the same segment, mixing them up in a terrible way.
+    // To prevent this, we create a lock file in the directory holding the PID of
+    // the process that owns it. Creating it with the 'wx' flag fails if it
+    // already exists, and that's exactly what we want.
+    async _lock() {
+        const lockFile = `${this._dbPath}LOCK`
+
+        try {
+            await writeFile(lockFile, `${process.pid}`, { flag: 'wx' })
+            locks.add(path.resolve(lockFile))
+            return
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err
+        }
+
+        // The lock file is already there, but its owner could have died without
+        // removing it (remember, we must survive a 'kill -9').
+        // If the process is still alive, we give up right away.
+        // A lock with our own PID that we didn't take has been left by an older
+        // process with the same PID, which happens a lot in containers.
+        const pid = parseInt(await readFile(lockFile, 'utf8'), 10)
+        if (isProcessAlive(pid) && (pid !== process.pid || locks.has(path.resolve(lockFile)))) {
+            throw new Error(`${this._dbPath} is locked by process ${pid}`)
+        }
+
+        // Otherwise the lock is stale, so we take it over
+        await unlink(lockFile)
+        await this._lock()
+    }
+
+    // And this removes the lock file when we are done
+    async _unlock() {
+        const lockFile = `${this._dbPath}LOCK`
+        locks.delete(path.resolve(lockFile))
+        await unlink(lockFile)
+    }
+
+    // Ok, up until now everything works if we keep our process running.
+    // But what happens if some system failure happens? Like our process die or
+    // the kernel panics.
+    // Data would be safe, because we write all the data to disk (unless we
+    // experience a disk failure and we have no backups, but that's another story).
+    // But all our indexes would be gone, because we keep them in memory.
+    //
+    // We need to rebuild our indexes from the segments we have on disk. This
+    // method is called when opening PicoKV and is run only we you
+    // create an instance of PicoKV.
+    async _loadExistingData() {
+        // Here we will keep the segments we find on disk
+        let segments = []
+
+        const files = await readdir(this._dbPath)
+
+        // The manifest tells us which segments we have, from the oldest to the newest
+        const manifest = await readManifest(this._dbPath)
+
+        if (manifest) {
+            this._sequence = manifest.sequence
+            this._changeSequence = manifest.changeSequence || 0
+            this._horizon = manifest.horizon || 0
+            segments = manifest.segments.map(({ segment }) => segment)
+
+            for (const segment of segments) {
+                if (!files.includes(segment)) throw new Error(`Segment ${segment} is in the manifest but not on disk`)
+            }
+
+            // Any other segment or hint file is left over from something we didn't
+            // finish: a compaction interrupted before its segment made it into the
+            // manifest, a segment compaction didn't get to delete, a snapshot that
+            // was still holding some segments... We don't need any of them.
+            const listed = new Set(segments.concat(segments.map(hintFile)))
+            await Promise.all(files
+                .filter(file => /\.(pkvc?|hint|retired)$/.test(file) && !listed.has(file))
+                .map(file => unlink(`${this._dbPath}${file}`)))
+        } else {
+            segments = await this._segmentsByTime(files)
+        }
+
+        segments = segments.map(segment => `${this._dbPath}${segment}`)
+
+        // If the newest segment is not a normal one, maybe we start from scratch,
+        // so we create one
+        if (!segments.length || !segments[segments.length - 1].endsWith('.pkv')) {
+            const segment = this._segmentName('pkv')
+            await close(await open(segment, 'w'))
+            segments.push(segment)
+        }
+
+        // For each segment we have to rebuild its index
+        for (const segment of segments) {
+            const fileSize = (await stat(segment)).size
+
+            let index = {
+                segment,
+                fd: await open(segment, 'a+'),
+                data: new Map(),
+                tombstones: new Map(),
+                lastPosition: fileSize,
+                garbage: 0,
+                writing: Promise.resolve()
+            }
+
+            // If the segment has a good hint file we can read that instead of
+            // the whole segment, it's much faster (we'll see hint files at the end)
+            let entries = await readHint(segment, fileSize)
+
+            // Otherwise we consume the whole file
+            if (!entries) {
+                const scan = scanSegment(await readFile(segment))
+                entries = scan.entries
+
+                // A broken record in the middle of a segment is not something
+                // we can fix by ourselves, and we won't throw away the good records
+                // that follow it: we give up, and 'picokv verify' and 'picokv dump'
+                // can tell what's wrong
+                if (scan.corrupted) {
+                    await close(index.fd)
+                    const err = new Error(`Segment ${segment} has a corrupted record at position ${scan.size}`)
+                    err.code = 'ECORRUPT'
+                    throw err
+                }
+
+                // If the last record has been cut off or its checksum doesn't match,
+                // we probably crashed while writing it, so we chop it off the segment.
+                // The next write will go where the broken record was.
+                if (scan.size < fileSize) {
+                    await ftruncate(index.fd, scan.size)
+                    index.lastPosition = scan.size
+                }
+            }
+
+            for (const { key, tombstone, position, size, timestamp, expiresAt, seq } of entries) {
+                const entry = { position, size, timestamp, expiresAt, seq }
+
+                // The next write will get a sequence number greater than any we find
+                this._changeSequence = Math.max(this._changeSequence, seq)
+
+                // An expired key is no different from a deleted one
+                if (tombstone || isExpired(entry)) {
+                    // The key has been deleted, so we forget about it
+                    // in this segment and in all the older ones
+                    index.data.delete(key)
+                    for (const idx of this._indexes) {
+                        idx.data.delete(key)
+                    }
+                    index.tombstones.set(key, entry)
+                } else {
+                    // Updating the key offset in our index
+                    index.data.set(key, entry)
+                    index.tombstones.delete(key)
+                }
+            }
+
+            // Indexes will be collected in a list in reverse order so that
+            // the first one is the index of the most recent segment
+            this._indexes.unshift(index)
+        }
+
+        // From now on the manifest knows about every segment we have, even if
+        // we found none or had no manifest at all
+        await this._saveManifest()
+
+        // Finally we put together the keys of all the segments, and we sort them
+        const keys = new Set()
+        for (const index of this._indexes) {
+            for (const key of index.data.keys()) keys.add(key)
+        }
+        this._keydir = Array.from(keys).sort()
+
+        // And we find out how much garbage each segment holds
+        this._countGarbage()
+    }
+
+    // Every record that is not the last one of its key is garbage. Going from the most
+    // recent segment to the oldest one, the first record we see for a key is its last one
+    _countGarbage() {
+        const seen = new Set()
+        for (const index of this._indexes) {
+            let live = 0
+            for (const records of [index.data, index.tombstones]) {
+                for (const [indexKey, entry] of records) {
+                    if (seen.has(indexKey)) continue
+
+                    seen.add(indexKey)
+                    live += entry.size
+                }
+            }
+
+            index.garbage = index.lastPosition - live
+        }
+    }
+
+    // Stores written before we had a manifest don't have one, of course.
+    // For them we find out the order of the segments from the time they have
+    // been written to for the last time, which mostly works... unless someone
+    // copies or touches the files.
+    async _segmentsByTime(files) {
+        let segments = []
+
+        // Segments compaction got rid of while a snapshot still needed them are
+        // of no use anymore, we probably crashed before deleting them
+        await Promise.all(files
+            .filter(file => file.endsWith('.retired'))
+            .map(file => unlink(`${this._dbPath}${file}`)))
+
+        // We have to deal with two kind of segments: compacted and normal
+        // we use two different file extensions to identify those
+        //
+        // .pkvc are compacted segments
+        // .pkv are normal segments
+        //
+        // We need to load compacted segments first because they are filled
+        // with possibly old data and need to be checked after normal segments,
+        // which may contain the most recent value for a given key
+        for (const extension of ['pkvc', 'pkv']) {
+            const extensionSegments = await Promise.all(files
+                .filter(file => file.endsWith(extension)) // we consider one extension at a time
+                .map(async segment => ({
+                    file: segment,
+                    // for each file we retrieve the last modification date
+                    mtime: (await stat(`${this._dbPath}${segment}`)).mtime
+                })))
+
+            segments = segments.concat(extensionSegments
+                .sort((a, b) => a.mtime.getTime() - b.mtime.getTime()) // we sort files by date
+                .map(segment => segment.file)) // and we just keep the file's name, we don't need the date anymore
+        }
+
+        return segments
+    }
+
+    // '_saveManifest' writes down the segments we have right now, from the oldest
+    // to the newest, along with the last sequence number we used.
+    // Saves happen one at a time, each one writing what we have when its turn
+    // comes, so the last one always has the last word.
+    _saveManifest() {
+        const saving = this._manifestSaving.catch(() => {}).then(() => writeManifest(this._dbPath, {
+            sequence: this._sequence,
+            changeSequence: this._changeSequence,
+            horizon: this._horizon,
+            segments: this._indexes.slice().reverse().map(index => ({ segment: path.basename(index.segment) }))
+        }))
+
+        this._manifestSaving = saving
+        return saving
+    }
+
+    // Now take a deep breath, we're almost done! :-)
+    //
+    // Here is our compaction routine that keeps only the most recent values
+    // for each key in our set and deletes obsolete segments.
+    //
+    // Compaction takes a while, and we must be careful: only one compaction
+    // at a time can run, otherwise two of them could compact the same segments
+    // and delete them twice. So every compaction waits for the previous one to
+    // finish before starting. We can call this method ourselves whenever we
+    // want, and wait for it. With '{ rotate: true }' the segment we are writing
+    // to gets compacted too.
+    async compact(options = {}) {
+        await this._ready()
+
+        const compaction = this._compaction.catch(() => {}).then(() => this._compact(options))
+        this._compaction = compaction
+        return compaction
+    }
+
+    // This is the job that runs every now and then. If the previous compaction
+    // is still running there's no point in queueing another one, so we skip a turn.
+    // We hear about it with a 'compacting' event when it starts, and when it's done
+    // with either 'compacted' or 'compactionfailed', along with the error.
+    _setCompactionJob() {
+        this._compactionTimer = setInterval(() => {
+            if (this._compacting) return
+            this.compact().catch(err => this.emit('error', err))
+        }, this._compactionInterval)
+    }
+
+    async _compact(options) {
+        this._compacting = true
+        this.emit('compacting')
+
+        const at = Date.now()
+        const start = performance.now()
+        try {
+            await this._compactSegments(options)
+        } catch (err) {
+            this.emit('compactionfailed', err)
+            throw err
+        } finally {
+            this._compacting = false
+            this._stats.lastCompaction = { at, duration: performance.now() - start }
+        }
+    }
+
+    async _compactSegments({ rotate = false }) {
+        // We're going to exclude the current segment, the one we're
+        // writing to. That is not a problem because the index of the
+        // current segment will be kept as the first index we check
+        // when we look for a key.
+        // With 'rotate' we start writing to a new segment first, so that
+        // the one we were writing to gets compacted too.
+        if (rotate && this._indexes[0].lastPosition > 0) this._rotate()
+
+        // We take note of the segments we could compact right now:
+        // new segments could be created while we are busy, and we must leave them alone.
+        const sealedIndexes = this._indexes.slice(1)
+
+        // Some records could still be on their way to these segments,
+        // so we wait for them to land and to reach their indexes
+        await Promise.all(sealedIndexes.map(index => index.writing))
+        await this._applying
+
+        // Rewriting segments that are mostly live data would be a lot of work for
+        // nothing, so we only compact the ones where garbage is at least our garbage ratio.
+        // Compaction reads and writes these segments only, not the whole store.
+        const expired = this._expired().bytes
+        const compactingIndexes = sealedIndexes.filter(index => index.lastPosition === 0 ||
+            (index.garbage + expired.get(index)) / index.lastPosition >= this._garbageRatio)
+
+        // Maybe we have no segment worth compacting, so we have no compaction to do
+        if (compactingIndexes.length === 0) return
+        const compacting = new Set(compactingIndexes)
+
+        // Deletions are a problem: if we leave out a tombstone but some older segment
+        // we are not compacting still has a value for the key, the key comes back from
+        // the dead the next time we rebuild our indexes. So tombstones stay around
+        // as long as there are older segments we leave alone.
+        const olderSegmentsRemain = new Map()
+        let remain = false
+        for (let i = sealedIndexes.length - 1; i >= 0; i--) {
+            olderSegmentsRemain.set(sealedIndexes[i], remain)
+            if (!compacting.has(sealedIndexes[i])) remain = true
+        }
+
+        // Now we collect the records we are going to keep: the last ones of their keys.
+        // We start from the oldest segment, so the records keep more or less their order.
+        // Keys that expired are left out, unless we need a tombstone for them.
+        const records = []
+        const expiredKeys = []
+        for (let i = compactingIndexes.length - 1; i >= 0; i--) {
+            const index = compactingIndexes[i]
+            const keepTombstones = olderSegmentsRemain.get(index)
+
+            for (const [key, entry] of index.data) {
+                if (this._lastRecord(key).entry !== entry) continue
+
+                if (!isExpired(entry)) {
+                    records.push({ key, entry, index })
+                } else {
+                    expiredKeys.push(key)
+                    if (keepTombstones) records.push({ key, entry, index, tombstone: true })
+                }
+            }
+
+            if (!keepTombstones) continue
+            for (const [key, entry] of index.tombstones) {
+                if (this._lastRecord(key).entry === entry) records.push({ key, entry, index, tombstone: true })
+            }
+        }
+
+        // Now we can create our compacted segments. Just like normal segments,
+        // we start a new one when the current one gets too big, so that every compaction
+        // only writes a bounded amount of data, and the next one only rewrites
+        // the segments that need it
+        const compactedIndexes = []
+        let compactedIndex = null
+
+        // For each record we kept
+        for (const record of records) {
+            const { timestamp, expiresAt, seq } = record.entry
+            let content
+            if (record.tombstone) {
+                content = pack(fromIndexKey(record.key), null, { timestamp, seq })
+            } else {
+                // We read the key's record from the correct segment.
+                // There's no need to decode its value, we just copy its bytes
+                const stored = await readRecordAt(record.index.fd, record.entry.position)
+                let value = { bytes: stored.value, flags: stored.flags & (FLAG_DEFLATE | FLAG_BROTLI) }
+
+                // The value is compressed the way we compress now, which
+                // might not be the way it was when it was written: then we decompress
+                // and compress it again. Otherwise, the stored bytes are just fine
+                if (!this._compressedAsNow(value)) value = await this._compress(await decompress(stored))
+
+                // We repack the value in a new buffer, turning the index key
+                // back into the bytes of the original key and keeping
+                // the original timestamp, expiration time and sequence number
+                content = pack(fromIndexKey(record.key), value.bytes, { timestamp, flags: value.flags, expiresAt, seq })
+            }
+
+            if (!compactedIndex || (compactedIndex.lastPosition > 0 && compactedIndex.lastPosition + content.length > this._segmentsSize)) {
+                compactedIndex = await this._compactedSegment()
+                compactedIndexes.push(compactedIndex)
+            }
+
+            // And append it to the compacted segment we're creating
+            await append(compactedIndex.fd, content)
+
+            // Finally we can update the index for the compacted segment
+            record.compacted = {
+                index: compactedIndex,
+                entry: { position: compactedIndex.lastPosition, size: content.length, timestamp, expiresAt: record.tombstone ? 0 : expiresAt, seq }
+            }
+            const entries = record.tombstone ? compactedIndex.tombstones : compactedIndex.data
+            entries.set(record.key, record.compacted.entry)
+            compactedIndex.lastPosition += content.length
+        }
+
+        // The compacted segments are complete, so we make sure they're on disk before
+        // we delete the segments they replace, whatever our 'sync' option says:
+        // their records have been there for a while, we can't lose them now.
+        // Then they get their hint files.
+        for (const index of compactedIndexes) {
+            await fsync(index.fd)
+            await writeHint(index).catch(() => {})
+        }
+
+        // Some keys could have been set or deleted while we were busy copying them.
+        // Their last record lives in a newer segment, so what we copied is garbage already
+        for (const { key, entry, compacted } of records) {
+            const last = this._lastRecord(key)
+            if (last && last.entry === entry) continue
+
+            compacted.index.data.delete(key)
+            compacted.index.tombstones.delete(key)
+            compacted.index.garbage += compacted.entry.size
+        }
+
+        // Now we can put our new files to good use by just inserting their
+        // indexes in the list of searchable indexes.
+        // Note that up until now no read has been blocked because we were
+        // still using the obsolete segments we have just compacted.
+        // Every record we copied is the last one of its key, so the compacted
+        // segments can take the place of the most recent segment we compacted,
+        // even if some segments in between stay where they are.
+        // Thanks to Array.splice() we remove exactly the segments we compacted,
+        // then we add the new ones.
+        const first = this._indexes.indexOf(compactingIndexes[0])
+        for (let i = this._indexes.length - 1; i >= first; i--) {
+            if (compacting.has(this._indexes[i])) this._indexes.splice(i, 1)
+        }
+        this._indexes.splice(first, 0, ...compactedIndexes.slice().reverse())
+        compactingIndexes.forEach(idx => this._unsynced.delete(idx))
+
+        // The tombstones we left out are gone, so we can't tell
+        // anyone about those deletions anymore, see 'changes'
+        const kept = new Set(records.map(record => record.entry))
+        for (const idx of compactingIndexes) {
+            for (const entry of idx.tombstones.values()) {
+                if (!kept.has(entry)) this._horizon = Math.max(this._horizon, entry.seq)
+            }
+        }
+
+        // The swap is not real until the manifest says so. If we crash before
+        // this, we'll find the obsolete segments again and forget the compacted ones
+        await this._saveManifest()
+
+        // The keys that expired are gone for good, unless they have been set again
+        for (const key of expiredKeys) {
+            if (!this._indexes.some(idx => idx.data.has(key))) this._keydirRemove(key)
+        }
+
+        // Reads that started before the swap could still be using the obsolete segments
+        await Promise.allSettled(this._reads)
+
+        // We can now safely get rid of every obsolete segment
+        const deletedIndexes = compactingIndexes.map(idx => idx.segment)
+        await Promise.all(compactingIndexes.map(idx => this._retire(idx)))
+
+        // And emit a nice event at the end of the whole process
+        this.emit('compacted', deletedIndexes, compactedIndexes.map(idx => idx.segment))
+    }
+
+    // Compacted segments will have a .pkvc extension as we saw earlier,
+    // and their indexes, of course
+    async _compactedSegment() {
+        const segment = this._segmentName('pkvc')
+        return {
+            segment,
+            fd: await open(segment, 'a+'),
+            data: new Map(),
+            tombstones: new Map(),
+            lastPosition: 0,
+            garbage: 0,
+            writing: Promise.resolve()
+        }
+    }
+
+    // Keys that expired are garbage too, but nobody tells us when it happens:
+    // we have to look for them. This tells us how many bytes of expired values
+    // each segment holds, along with how many keys are still alive
+    _expired(now = Date.now()) {
+        const seen = new Set()
+        const bytes = new Map()
+        let keys = 0
+        for (const index of this._indexes) {
+            let expired = 0
+            for (const [indexKey, entry] of index.data) {
+                if (seen.has(indexKey)) continue
+                seen.add(indexKey)
+
+                if (isExpired(entry, now)) expired += entry.size
+                else keys++
+            }
+
+            bytes.set(index, expired)
+        }
+
+        return { bytes, keys }
+    }
+
+    // Once a segment is not needed anymore we close it and delete it, along with
+    // its hint file. But a snapshot could still need it: in that case we just
+    // move it out of the way, so that we won't load it again if we crash and restart,
+    // and the last snapshot needing it will delete it when it's released.
+    async _retire(idx) {
+        await idx.hinting
+        await unlink(hintFile(idx.segment)).catch(() => {}) // not every segment has a hint file
+
+        if (![...this._snapshots].some(snapshot => snapshot._pins(idx))) {
+            await close(idx.fd)
+            await unlink(idx.segment)
+            return
+        }
+
+        const retired = `${idx.segment}.retired`
+        idx.retiring = rename(idx.segment, retired).then(() => { idx.segment = retired })
+        this._retired.add(idx)
+        await idx.retiring
+    }
+
+    // This deletes the retired segments no snapshot needs anymore
+    async _dropRetired() {
+        // Reads going on could still be using them
+        await Promise.allSettled(this._reads)
+
+        for (const idx of this._retired) {
+            if ([...this._snapshots].some(snapshot => snapshot._pins(idx))) continue
+
+            this._retired.delete(idx)
+            await idx.retiring
+            await close(idx.fd)
+            await unlink(idx.segment)
+        }
+    }
+
+    // Sometimes we want to look at the whole store as it is right now, while
+    // writes keep going on: to back it up, to export it, to compute something
+    // out of many keys that must agree with each other. That's what snapshots are for:
+    //
+    //     const snapshot = await kv.snapshot()
+    //     for await (const [key, value] of snapshot.entries()) { ... }
+    //     await snapshot.release()
+    //
+    // Records are never changed once written, so a snapshot just needs a copy of
+    // our indexes and our keydir as they are now, and the segments they point to
+    // must stay around. Copying indexes takes some memory, so snapshots
+    // should be released as soon as we're done with them.
+    async snapshot() {
+        await this._ready()
+        return new Snapshot(this)
+    }
+
+    // 'backup' copies the store, as it is right now, to another directory.
+    // The copy is a store of its own, ready to be opened:
+    //
+    //     await kv.backup('./backups/monday')
+    //     const copy = new PicoKV({ path: './backups/monday' })
+    //
+    // We don't want a compaction to shuffle segments while we copy them,
+    // so backups wait for their turn just like compactions do.
+    async backup(destination) {
+        await this._ready()
+
+        const backup = this._compaction.catch(() => {}).then(() => this._backup(destination))
+        this._compaction = backup
+        return backup
+    }
+
+    async _backup(destination) {
+        const destinationPath = path.join(destination, path.sep)
+        await mkdir(destinationPath, { recursive: true })
+        if ((await readdir(destinationPath)).length > 0) {
+            throw new Error(`Backup directory ${destination} is not empty`)
+        }
+
+        // We start writing to a new segment, so that every record written so far
+        // is in a segment that will never change again
+        if (this._indexes[0].lastPosition > 0) this._rotate()
+
+        // These are the segments to copy, from the oldest to the newest
+        const sealedIndexes = this._indexes.slice(1).reverse()
+
+        // Once the backup is opened, new records will go to its newest normal segment
+        const writable = sealedIndexes.filter(index => index.segment.endsWith('.pkv')).pop()
+
+        const segments = []
+        for (const index of sealedIndexes) {
+            // Some records could still be on their way, and so could hint files
+            await index.writing
+            await index.hinting
+
+            // Sealed segments never change, so instead of copying them we can
+            // link them, it's way faster. A link keeps working even if compaction
+            // deletes the segment later.
+            // The segment the backup will write to needs a copy of its own, though,
+            // or it would write to ours as well. So does its hint file, which
+            // the backup writes again once it's done with the segment.
+            const segment = path.basename(index.segment)
+            const transfer = index === writable ? copy : linkOrCopy
+            await transfer(index.segment, destinationPath + segment)
+            await transfer(hintFile(index.segment), hintFile(destinationPath + segment)).catch(() => {})
+
+            segments.push({ segment, size: index.lastPosition })
+        }
+
+        // Last, we write a manifest describing what's in the backup,
+        // just like the one we keep for ourselves
+        const manifest = { sequence: this._sequence, changeSequence: this._changeSequence, horizon: this._horizon, createdAt: Date.now(), segments }
+        await writeManifest(destinationPath, manifest)
+
+        return manifest
+    }
+
+    // Events tell us about writes, but only to someone in our own process who
+    // was listening when they happened. Sequence numbers let anybody ask for
+    // the writes that happened after a given one, and then for the ones that
+    // happen next, for as long as they like:
+    //
+    //     for await (const change of kv.changes({ since: 41 })) {
+    //         // { seq: 42, type: 'put', key: 'foo', value: 'bar', expiresAt: 0 }
+    //         // { seq: 43, type: 'del', key: 'foo' }
+    //     }
+    //
+    // Compaction gets rid of the values keys used to have, so for the writes
+    // already in our segments we only get the last one of each key. That's
+    // enough to get from where we were to where we are now. But compaction also
+    // gets rid of tombstones: if some deletions after 'since' are gone, we can't
+    // get there anymore and we have to start over, without 'since' (or with 0).
+    // When we start over, the deletions we aren't told about are still part of where
+    // we get to: a change like { seq: 44, type: 'skip' } tells how far they went.
+    // The changes stop when we close PicoKV, or when the given 'signal' is aborted.
+    async *changes({ since, signal } = {}) {
+        await this._ready()
+
+        if (since > 0 && since < this._horizon) {
+            const err = new Error(`Changes since ${since} are gone, compaction forgot deletions up to ${this._horizon}`)
+            err.code = 'EGONE'
+            throw err
+        }
+
+        // We start collecting the writes that happen from now on before we look
+        // at the ones already in our segments, so that we won't miss any
+        const pending = []
+        let wake = () => {}
+        const onChange = change => {
+            pending.push(change)
+            wake()
+        }
+        const onClose = () => wake()
+
+        this.on('change', onChange)
+        this.on('close', onClose)
+        if (signal) signal.addEventListener('abort', onClose)
+
+        try {
+            // Writes are applied to our indexes and told about at the same time,
+            // so a snapshot has exactly the ones we weren't told about
+            const horizon = this._horizon
+            const snapshot = new Snapshot(this)
+            try {
+                let last = since || 0
+                for await (const change of snapshot._changes(since)) {
+                    last = change.seq
+                    yield change
+                }
+
+                if (last < horizon) yield { seq: horizon, type: 'skip' }
+            } finally {
+                await snapshot.release()
+            }
+
+            while (!this._closing && !(signal && signal.aborted)) {
+                if (pending.length === 0) {
+                    await new Promise(resolve => { wake = resolve })
+                    continue
+                }
+
+                const change = pending.shift()
+                if (!since || change.seq > since) yield change
+            }
+        } finally {
+            this.off('change', onChange)
+            this.off('close', onClose)
+            if (signal) signal.removeEventListener('abort', onClose)
+        }
+    }
+
+    // 'clear' gets rid of every key, along with the segments holding them,
+    // and our sequence numbers start over. Just like compactions, it waits
+    // for its turn, and for the writes going on to be done
+    async clear() {
+        await this._ready()
+
+        const clearing = this._compaction.catch(() => {}).then(() => this._clear())
+        this._compaction = clearing
+        return clearing
+    }
+
+    async _clear() {
+        await Promise.allSettled(this._writes)
+        await Promise.all(this._indexes.map(index => index.writing))
+        await this._applying
+
+        // We start writing to a new segment, and we forget about every other one
+        const cleared = this._indexes.slice()
+        this._rotate()
+        this._indexes.splice(1)
+        this._keydir = []
+        this._keydirChanges.clear()
+        this._changeSequence = 0
+        this._horizon = 0
+        await this._saveManifest()
+
+        // Then the segments can go, as soon as nobody is reading them
+        await Promise.allSettled(this._reads)
+        await Promise.all(cleared.map(idx => this._retire(idx)))
+    }
+
+    // This is the sequence number of the last write
+    get sequence() {
+        return this._changeSequence
+    }
+
+    // A follower is a PicoKV that gets its writes from another one, its primary,
+    // by applying its changes. It's a copy that's always warm and ready to be read:
+    //
+    //     await replica.follow(primary.changes({ since: replica.sequence }))
+    //
+    // Changes keep their sequence numbers, so the follower knows where it got to
+    // and can start again from there. While it's following, it takes no writes of its own.
+    // If it fell so far behind that the changes it needs are gone (an error with code
+    // 'EGONE'), it can only forget everything it has with 'clear' and start over from 0.
+    async follow(changes) {
+        await this._ready()
+        this._checkWritable()
+
+        this._following = true
+        try {
+            for await (const change of changes) {
+                if (this._closing) break
+
+                // We could be told about writes we already have
+                if (change.seq <= this._changeSequence) continue
+
+                // The change's sequence number becomes our own
+                this._changeSequence = change.seq
+
+                // Skipped changes have nothing to write, but we must remember
+                // we got past them, or we'd ask for them again next time
+                if (change.type === 'skip') {
+                    await this._saveManifest()
+                    continue
+                }
+
+                const timestamp = Date.now()
+                if (change.type === 'del') {
+                    await this._accept(() => this._timed(this._stats.deletes, () => this._del(change.key, { timestamp, seq: change.seq })))
+                } else {
+                    await this._accept(() => this._timed(this._stats.sets, () =>
+                        this._put(change.key, change.value, { timestamp, expiresAt: change.expiresAt || 0, seq: change.seq })))
+                }
+            }
+        } finally {
+            this._following = false
+        }
+    }
+
+    _checkWritable() {
+        if (this._following) throw new Error('PicoKV is following another one, it takes no writes of its own')
+    }
+
+    // How are we doing? 'stats' tells us about our segments, oldest first, and how
+    // much of each one is live data: the last records of our keys. The rest is garbage,
+    // old values, expired keys and deletions, waiting for a compaction to get rid of it.
+    // It's an estimate: records of the current segment could still be on their way to disk.
+    // We also get when the last compaction started and how long it took, in milliseconds,
+    // and how many gets, sets, deletes and batches we served and how long they took, in total.
+    // Sets include the ones of 'update', 'incr' and 'compareAndSet', and the ones we follow.
+    async stats() {
+        await this._ready()
+
+        const { bytes: expired, keys } = this._expired()
+        const segments = this._indexes.map(index => {
+            const garbageBytes = index.garbage + expired.get(index)
+            return {
+                segment: path.basename(index.segment),
+                size: index.lastPosition,
+                liveBytes: index.lastPosition - garbageBytes,
+                garbageBytes
+            }
+        }).reverse()
+
+        const sum = field => segments.reduce((total, segment) => total + segment[field], 0)
+        return {
+            segmentCount: segments.length,
+            size: sum('size'),
+            liveBytes: sum('liveBytes'),
+            garbageBytes: sum('garbageBytes'),
+            keys,
+            segments,
+            lastCompaction: this._stats.lastCompaction && { ...this._stats.lastCompaction },
+            gets: { ...this._stats.gets },
+            sets: { ...this._stats.sets },
+            deletes: { ...this._stats.deletes },
+            batches: { ...this._stats.batches }
+        }
+    }
+}
+
+// This is what 'PicoKV.snapshot' gives us. It can do everything PicoKV does
+// to read keys, but it sees the store as it was when the snapshot was taken.
+class Snapshot {
+    constructor(kv) {
+        this._kv = kv
+
+        // Keys expiring after the snapshot was taken are still there for us
+        this._time = Date.now()
+
+        // Our copy of the indexes, each one along with the segment it belongs to
+        this._indexes = kv._indexes.map(index => ({
+            index,
+            data: new Map(index.data),
+            tombstones: new Map(index.tombstones)
+        }))
+        this._keydir = kv._sortedKeys().slice()
+
+        // As long as we are in this set, compaction leaves our segments alone
+        kv._snapshots.add(this)
+    }
+
+    // This tells if the snapshot needs the segment of the given index
+    _pins(index) {
+        return this._indexes.some(view => view.index === index)
+    }
+
+    _ready() {
+        if (this._released) throw new Error('Snapshot has been released')
+    }
+
+    async get(key) {
+        this._ready()
+        return this._get(toIndexKey(key))
+    }
+
+    async getEntry(key) {
+        this._ready()
+
+        const found = this._find(toIndexKey(key))
+        if (!found) return null
+
+        const { seq, timestamp, expiresAt } = found.entry
+        return { value: await this._kv._read(found.index, found.entry), seq, timestamp, expiresAt }
+    }
+
+    async _get(indexKey) {
+        const found = this._find(indexKey)
+        if (!found) return null
+
+        return this._kv._read(found.index, found.entry)
+    }
+
+    // Just like 'PicoKV._find', but on our copy of the indexes
+    _find(indexKey) {
+        for (const { index, data } of this._indexes) {
+            const entry = data.get(indexKey)
+            if (entry !== undefined) return isExpired(entry, this._time) ? null : { index, entry }
+        }
+
+        return null
+    }
+
+    async keys(options) {
+        this._ready()
+        return selectKeys(this._keydir, options, key => this._find(key))
+            .map(indexKey => decodeKey(indexKey, options))
+    }
+
+    async *entries(options) {
+        this._ready()
+
+        for (const indexKey of selectKeys(this._keydir, options, key => this._find(key))) {
+            const value = await this._get(indexKey)
+            if (value !== null) yield [decodeKey(indexKey, options), value]
+        }
+    }
+
+    // These are the changes that brought the store where the snapshot sees it,
+    // after the one with sequence number 'since', see 'PicoKV.changes'.
+    // For each key only the last one matters, the older ones are gone anyway.
+    async *_changes(since) {
+        const latest = new Map()
+        for (const { index, data, tombstones } of this._indexes) {
+            for (const [key, entry] of data) {
+                if (!latest.has(key)) latest.set(key, { index, entry, type: 'put' })
+            }
+            for (const [key, entry] of tombstones) {
+                if (!latest.has(key)) latest.set(key, { index, entry, type: 'del' })
+            }
+        }
+
+        // Keys that expired don't need to be told about, whoever gets our
+        // changes will see them expire on their own
+        const changes = [...latest]
+            .filter(([, { entry, type }]) => (!since || entry.seq > since) && (type === 'del' || !isExpired(entry, this._time)))
+            .sort(([, a], [, b]) => a.entry.seq - b.entry.seq)
+
+        for (const [indexKey, { index, entry, type }] of changes) {
+            const key = fromIndexKey(indexKey).toString()
+            if (type === 'del') {
+                yield { seq: entry.seq, type, key }
+            } else {
+                const value = await this._kv._read(index, entry)
+                yield { seq: entry.seq, type, key, value, expiresAt: entry.expiresAt }
+            }
+        }
+    }
+
+    // Once released, the snapshot can't be used anymore and the segments
+    // it was keeping around can go away
+    async release() {
+        if (this._released) return
+        this._released = true
+
+        this._kv._snapshots.delete(this)
+        await this._kv._dropRetired()
+    }
+}
+
+// The manifest is a small JSON file listing our segments, from the oldest to
+// the newest. It's the only way to be sure of their order:
+//
+//     {
+//         "sequence": 42,
+//         "segments": [{ "segment": "picokv-000000000040.pkvc" }, { "segment": "picokv-000000000042.pkv" }]
+//     }
+//
+// It must never be half written, so we write a temporary file first, we make
+// sure it's on disk and then we rename it: renaming a file is atomic, the
+// manifest is either the old one or the new one.
+const MANIFEST = 'MANIFEST'
+
+async function writeManifest(directory, manifest) {
+    const temporary = `${directory}${MANIFEST}.tmp`
+    const fd = await open(temporary, 'w')
+    try {
+        await writeFile(fd, JSON.stringify(manifest, null, 2))
+        await fsync(fd)
+    } finally {
+        await close(fd)
+    }
+
+    await rename(temporary, `${directory}${MANIFEST}`)
+}
+
+// 'readManifest' returns the manifest in a directory, or null if there's none
+async function readManifest(directory) {
+    let content
+    try {
+        content = await readFile(`${directory}${MANIFEST}`)
+    } catch (err) {
+        if (err.code === 'ENOENT') return null
+        throw err
+    }
+
+    return JSON.parse(content)
+}
+
+// 'copy' copies a file, giving the copy the same modification time of the
+// original, since that's how we tell the order of segments when there's no manifest
+async function copy(source, destination) {
+    await copyFile(source, destination)
+    const { atime, mtime } = await stat(source)
+    await utimes(destination, atime, mtime)
+}
+
+// 'linkOrCopy' makes a hard link to a file, or copies it when we can't link it,
+// for example because the destination is on another disk
+async function linkOrCopy(source, destination) {
+    try {
+        await link(source, destination)
+    } catch (err) {
+        if (err.code === 'ENOENT') throw err
+        await copy(source, destination)
+    }
+}
+
+// Wait, there's one more thing! Remember the hint files we have been writing?
+//
+// When we start, we rebuild our indexes by reading every single segment from
+// start to end. With a lot of data this takes a long time, and most of what
+// we read are values we just throw away.
+// Bitcask solves this with 'hint files': next to each segment that will never
+// change again (a compacted segment, or a segment we stopped writing to) we
+// write a small file that holds only what we need to rebuild its index.
+// Here's what it looks like:
+//
+// +---------+-----------+--------------+-----------+-----+-----------+-----------+
+// |  Magic  |  Version  | Segment size |  Entry 1  | ... |  Entry n  |    CRC    |
+// +---------+-----------+--------------+-----------+-----+-----------+-----------+
+//
+// ^         ^           ^              ^                             ^
+// |_4 bytes_|__1 byte___|___6 bytes____|                             |__4 bytes__
+//
+// 'Magic' is always 'PKVH', 'Segment size' is the size of the segment when
+// the hint file has been written and 'CRC' is the checksum of everything before it.
+// If any of those doesn't match, we don't trust the hint file and we go back
+// to reading the segment.
+//
+// Every entry describes a key in the segment:
+//
+// +---------+-------------+-------------+-------------+--------------+-------------+-------------+-------
+// |  Flags  |  Timestamp  |   Expires   |  Sequence   |  Key length  |  Position   |    Size     |  Key
+// +---------+-------------+-------------+-------------+--------------+-------------+-------------+-------
+//
+// ^         ^             ^             ^             ^              ^             ^             ^
+// |_1 byte__|___6 bytes___|___6 bytes___|___6 bytes___|___2 bytes____|___4 bytes___|___4 bytes___|_var._
+//
+// 'Flags' tells us if the key has been deleted in the segment, just like in records,
+// 'Expires' is the time the key expires at, or 0 if it never does, and
+// 'Sequence' is the sequence number of the record.
+// Older hint files didn't have 'Expires' or 'Sequence': we don't read them
+// anymore, the segment gets scanned instead.
+const HINT_MAGIC = 'PKVH'
+const HINT_VERSION = 3
+const HINT_HEADER_LENGTH = 11
+const HINT_ENTRY_HEADER_LENGTH = 29
+const HINT_CRC_LENGTH = 4
+
+// A hint file is named after its segment
+function hintFile(segment) {
+    return `${segment}.hint`
+}
+
+// 'writeHint' writes the hint file for the segment of the given index
+async function writeHint(index) {
+    const header = Buffer.alloc(HINT_HEADER_LENGTH)
+    header.write(HINT_MAGIC, 0, 'latin1')
+    header.writeUInt8(HINT_VERSION, 4)
+    header.writeUIntBE(index.lastPosition, 5, 6)
+
+    const entries = []
+    const packEntry = (key, entry, flags) => {
+        const keyBuffer = fromIndexKey(key)
+        const entryHeader = Buffer.alloc(HINT_ENTRY_HEADER_LENGTH)
+        entryHeader.writeUInt8(flags, 0)
+        entryHeader.writeUIntBE(entry.timestamp, 1, 6)
+        entryHeader.writeUIntBE(entry.expiresAt, 7, 6)
+        entryHeader.writeUIntBE(entry.seq, 13, 6)
+        entryHeader.writeUInt16BE(keyBuffer.length, 19)
+        entryHeader.writeUInt32BE(entry.position, 21)
+        entryHeader.writeUInt32BE(entry.size, 25)
+        entries.push(entryHeader, keyBuffer)
+    }
+
+    for (const [key, entry] of index.data) packEntry(key, entry, 0)
+    for (const [key, entry] of index.tombstones) packEntry(key, entry, FLAG_TOMBSTONE)
+
+    const content = Buffer.concat([header, ...entries, Buffer.alloc(HINT_CRC_LENGTH)])
+    const crcPosition = content.length - HINT_CRC_LENGTH
+    content.writeUInt32BE(crc32(content.slice(0, crcPosition)), crcPosition)
+
+    await writeFile(hintFile(index.segment), content)
+}
+
+// 'readHint' returns the entries in the hint file of a segment, in the same
+// form 'scanSegment' does, or null if there's no hint file we can trust
+async function readHint(segment, segmentSize) {
+    let content
+    try {
+        content = await readFile(hintFile(segment))
+    } catch (err) {
+        return null
+    }
+
+    if (content.length < HINT_HEADER_LENGTH + HINT_CRC_LENGTH) return null
+
+    const crcPosition = content.length - HINT_CRC_LENGTH
+    if (content.toString('latin1', 0, 4) !== HINT_MAGIC ||
+        content[4] !== HINT_VERSION ||
+        content.readUIntBE(5, 6) !== segmentSize ||
+        content.readUInt32BE(crcPosition) !== crc32(content.slice(0, crcPosition))) {
+        return null
+    }
+
+    const entries = []
+    let position = HINT_HEADER_LENGTH
+    while (position < crcPosition) {
+        const keyStart = position + HINT_ENTRY_HEADER_LENGTH
+        const keyEnd = keyStart + content.readUInt16BE(position + 19)
+
+        entries.push({
+            key: content.toString('latin1', keyStart, keyEnd),
+            tombstone: (content[position] & FLAG_TOMBSTONE) !== 0,
+            position: content.readUInt32BE(position + 21),
+            size: content.readUInt32BE(position + 25),
+            timestamp: content.readUIntBE(position + 1, 6),
+            expiresAt: content.readUIntBE(position + 7, 6),
+            seq: content.readUIntBE(position + 13, 6)
+        })
+
+        position = keyEnd
+    }
+
+    return entries
+}
+
+// The command line tool (see cli.js) looks inside segments and manifests
+// just the way we do, so we lend it what it needs
+PicoKV.readRecord = readRecord
+PicoKV.scanSegment = scanSegment
+PicoKV.unpack = unpack
+PicoKV.readManifest = readManifest
+PicoKV.valueEncoding = valueEncoding
+PicoKV.FLAGS = {
+    tombstone: FLAG_TOMBSTONE,
+    batch: FLAG_BATCH,
+    commit: FLAG_COMMIT,
+    expires: FLAG_EXPIRES,
+    deflate: FLAG_DEFLATE,
+    brotli: FLAG_BROTLI,
+    sequence: FLAG_SEQUENCE
 }
 
 // I hope you enjoyed the journey so far, I know it has been quite a ride for me
@@ -1,33 +1,402 @@
 // Ok, this file is basically for testing purposes and usage example
-// We expose get/set functions through a simple HTTP layer using express
+// We expose get/set/delete functions through a simple HTTP layer using express
+const http = require('http')
+const readline = require('readline')
+const util = require('util')
 const express = require('express')
 const bodyParser = require('body-parser')
 const PicoKV = require('./picokv')
 
-const PORT = 9001
+// Everything can be configured with command line flags or environment variables,
+// the flags win: node server.js --port 9002 --path ./db2 --segments-size 65536
+const { values: flags } = util.parseArgs({
+    options: {
+        port: { type: 'string' },
+        path: { type: 'string' },
+        'segments-size': { type: 'string' },
+        primary: { type: 'string' }
+    }
+})
+
+const PORT = Number(flags.port || process.env.PORT || 9001)
+const DB_PATH = flags.path || process.env.DB_PATH || './db'
+const SEGMENTS_SIZE = Number(flags['segments-size'] || process.env.SEGMENTS_SIZE || 10 * 1024)
+
+// We can run as a read replica of another server, its primary:
+// node server.js --primary http://primary:9001
+const PRIMARY = flags.primary || process.env.PRIMARY
+
 const api = express()
 
-// We can override a couple of parameters in order to customize the interval between compactions
-// and the maximum size of segments on disk.
-const kv = new PicoKV({
-    compactionInterval: 20 * 1000,
-    segmentsSize: 10 * 1024
-})
+// Every write has a sequence number, and that's our ETag
+function etag(seq) {
+    return `"${seq}"`
+}
 
-kv.on('compacted', (oldFiles, newFile) =>
-    console.log('Some files', JSON.stringify(oldFiles), 'have been compacted into', newFile))
+// Express doesn't know about promises, so when a route fails we must
+// hand the error over ourselves
+function route(handler) {
+    return (req, res, next) => handler(req, res).catch(next)
+}
 
-api.use(bodyParser.text({type:"*/*"}))
+// This tells what's wrong with an operation of a batch, if anything
+function batchProblem(op) {
+    if (!op || typeof op !== 'object') return 'expected an object'
+    if (op.type !== 'put' && op.type !== 'del') return 'type must be "put" or "del"'
+    if (typeof op.key !== 'string' || op.key === '') return 'key must be a non empty string'
+    if (op.type === 'del') return null
 
-api.get('/pkv/:key', async (req, res) => {
-    const value = await kv.get(req.params.key)
-    res.send(value)
-})
+    if (typeof op.value !== 'string') return 'value must be a string'
+    if (op.ttl !== undefined && op.ttl !== null && !(Number.isInteger(op.ttl) && op.ttl > 0)) return 'ttl must be a positive integer'
+    return null
+}
 
-api.put('/pkv/:key', async (req, res) => {
-    await kv.set(req.params.key, req.body)
-    res.send('OK')
-})
+// Prometheus wants one line per value, with a help line and a type line for each metric.
+// It also wants seconds where we have milliseconds.
+function metrics(stats) {
+    const lines = []
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP picokv_${name} ${help}`, `# TYPE picokv_${name} ${type}`)
+        for (const [labels, value] of samples) lines.push(`picokv_${name}${labels} ${value}`)
+    }
+    const perSegment = field => stats.segments.map(s => [`{segment="${s.segment}"}`, s[field]])
+
+    metric('segments', 'gauge', 'Number of segments', [['', stats.segmentCount]])
+    metric('keys', 'gauge', 'Number of live keys', [['', stats.keys]])
+    metric('segment_bytes', 'gauge', 'Size of each segment', perSegment('size'))
+    metric('segment_live_bytes', 'gauge', 'Estimated live bytes in each segment', perSegment('liveBytes'))
+    metric('segment_garbage_bytes', 'gauge', 'Estimated garbage bytes in each segment', perSegment('garbageBytes'))
+
+    const compaction = stats.lastCompaction
+    metric('last_compaction_timestamp_seconds', 'gauge', 'When the last compaction started', [['', compaction ? compaction.at / 1000 : 0]])
+    metric('last_compaction_duration_seconds', 'gauge', 'How long the last compaction took', [['', compaction ? compaction.duration / 1000 : 0]])
+
+    for (const op of ['gets', 'sets', 'deletes', 'batches']) {
+        metric(`${op}_seconds`, 'summary', `Time spent serving ${op}`, [
+            ['_count', stats[op].count],
+            ['_sum', stats[op].time / 1000]
+        ])
+    }
+
+    return lines.join('\n') + '\n'
+}
+
+async function main() {
+    // We can override a couple of parameters in order to customize the interval between compactions
+    // and the maximum size of segments on disk.
+    const kv = await PicoKV.open({
+        path: DB_PATH,
+        compactionInterval: 20 * 1000,
+        segmentsSize: SEGMENTS_SIZE,
+        // We keep values as they were sent to us, bytes and all, along with their
+        // content type so that we can give it back: values are { type, body } objects
+        valueEncoding: 'http'
+    })
+
+    // 'If-Match' and 'If-None-Match' tell us what the key must look like for a write to happen.
+    // This turns them into the sequence number we expect the key to have: null if we expect
+    // no key at all, undefined if we don't care. Anything we can't understand won't ever match.
+    async function expectedSeq(req) {
+        const ifMatch = req.get('if-match')
+        const ifNoneMatch = req.get('if-none-match')
+
+        if (ifNoneMatch === '*') return null
+        if (ifMatch === undefined && ifNoneMatch === undefined) return undefined
+
+        const entry = await kv.getEntry(req.params.key)
+        const current = entry ? entry.seq : null
+
+        // Any value will do, as long as there's one. It's the one we have now
+        let seq = current === null ? -1 : current
+        if (ifMatch !== undefined && ifMatch !== '*') {
+            const match = /^"(\d+)"$/.exec(ifMatch.trim())
+            seq = match ? Number(match[1]) : -1
+        }
+
+        // With a list of ETags in 'If-None-Match' the write happens only if the key has
+        // none of them, weak or not. When the key has none of them, it must stay the one
+        // we just looked at until we write it
+        if (ifNoneMatch !== undefined) {
+            const etags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''))
+            if (ifMatch === undefined) seq = current
+            if (seq !== null && etags.includes(etag(seq))) return -1
+        }
+
+        return seq
+    }
+
+    kv.on('compacted', (oldFiles, newFiles) =>
+        console.log('Some files', JSON.stringify(oldFiles), 'have been compacted into', JSON.stringify(newFiles)))
+
+    kv.on('error', err => console.error('Something went wrong:', err))
+
+    // We want every body as raw bytes, even when the client doesn't tell us
+    // what it is (no Content-Type header at all, as 'curl -T' does)
+    api.use(bodyParser.raw({ type: () => true }))
+
+    // A replica only takes writes from its primary
+    if (PRIMARY) {
+        api.use((req, res, next) => {
+            if (req.method === 'GET' || req.method === 'HEAD') return next()
+            res.status(403).send(`This is a read replica, writes go to ${PRIMARY}`)
+        })
+    }
+
+    // Keys can be listed in order, optionally only the ones with a given prefix.
+    // They come a page at a time, and each page tells us the cursor to pass
+    // to get the next one.
+    api.get('/pkv', route(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+
+        // We ask for one more key than we need, so we know if there's another page
+        const keys = await kv.keys({ prefix: req.query.prefix, gt: req.query.cursor, limit: limit + 1 })
+        const page = keys.slice(0, limit)
+
+        res.json({ keys: page, next: keys.length > limit ? page[page.length - 1] : null })
+    }))
+
+    // Changes come as JSON lines, one for each write, and they keep coming
+    // for as long as we stay connected. Values are encoded in base64.
+    // We can start after a given change with '?since=', or from scratch without it.
+    api.get('/pkv/_changes', route(async (req, res) => {
+        const since = req.query.since === undefined ? undefined : Number(req.query.since)
+        if (since !== undefined && !(Number.isInteger(since) && since >= 0)) return res.status(400).send('Invalid since')
+
+        const controller = new AbortController()
+        res.on('close', () => controller.abort())
+
+        res.type('application/x-ndjson')
+        res.flushHeaders()
+
+        try {
+            for await (const change of kv.changes({ since, signal: controller.signal })) {
+                res.write(JSON.stringify(change.type !== 'put' ? change : {
+                    ...change,
+                    value: change.value.body.toString('base64'),
+                    contentType: change.value.type
+                }) + '\n')
+            }
+        } catch (err) {
+            // Headers are gone already, we can only tell in the stream
+            res.write(JSON.stringify({ error: err.message, code: err.code }) + '\n')
+        }
+
+        res.end()
+    }))
+
+    // How much data we have, how much of it is garbage, how busy we are
+    api.get('/pkv/_stats', route(async (req, res) => {
+        res.json(await kv.stats())
+    }))
+
+    // The same, the way Prometheus likes it
+    api.get('/metrics', route(async (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics(await kv.stats()))
+    }))
+
+    // HEAD requests come here too, express takes care of leaving the body out.
+    // If the client already has the value we have, given its ETag in 'If-None-Match',
+    // express answers 304 Not Modified for us.
+    api.get('/pkv/:key', route(async (req, res) => {
+        const entry = await kv.getEntry(req.params.key)
+        if (!entry) return res.status(404).send('Not found')
+
+        res.set('Content-Type', entry.value.type)
+        res.set('ETag', etag(entry.seq))
+        if (entry.timestamp) res.set('Last-Modified', new Date(entry.timestamp).toUTCString())
+        if (entry.expiresAt) res.set('Expires', new Date(entry.expiresAt).toUTCString())
+
+        res.send(entry.value.body)
+    }))
+
+    // A key can expire after some milliseconds, given as '?ttl=' or in the 'X-TTL' header.
+    // With 'If-Match' the key is written only if it has not changed since we got the ETag,
+    // with 'If-None-Match' only if it has changed, and with 'If-None-Match: *' only if it doesn't exist yet.
+    api.put('/pkv/:key', route(async (req, res) => {
+        const ttl = req.query.ttl || req.get('x-ttl')
+        if (ttl !== undefined && !/^[1-9][0-9]*$/.test(ttl)) return res.status(400).send('Invalid ttl')
 
-api.listen(PORT, () => console.log(`picokv server listening on port ${PORT}`))
+        // Without a body, body-parser leaves us an empty object. An empty body is fine,
+        // but no body at all is not a value
+        if (!Buffer.isBuffer(req.body)) return res.status(400).send('Missing body')
 
+        const body = req.body
+        const type = req.get('content-type') || 'application/octet-stream'
+
+        const seq = await kv.set(req.params.key, { type, body }, { ttl: ttl && Number(ttl), ifSeq: await expectedSeq(req) })
+        res.set('ETag', etag(seq)).send('OK')
+    }))
+
+    // Many changes can be applied together, all or nothing, by sending a list
+    // of operations like [{ "type": "put", "key": "foo", "value": "bar" }, { "type": "del", "key": "baz" }]
+    api.post('/pkv/_batch', route(async (req, res) => {
+        let operations
+        try {
+            operations = JSON.parse(req.body)
+        } catch (err) {
+            return res.status(400).send('Invalid JSON')
+        }
+
+        if (!Array.isArray(operations)) return res.status(400).send('Expected a list of operations')
+
+        // Every operation needs a key, and a put needs a value and maybe a ttl.
+        // Values in a batch are text, as JSON doesn't do bytes
+        for (const [i, op] of operations.entries()) {
+            const problem = batchProblem(op)
+            if (problem) return res.status(400).send(`Invalid operation ${i}: ${problem}`)
+        }
+
+        operations = operations.map(op => op.type === 'put'
+            ? { ...op, value: { type: 'text/plain; charset=utf-8', body: Buffer.from(op.value) } }
+            : op)
+
+        try {
+            await kv.batch(operations)
+        } catch (err) {
+            return res.status(400).send(err.message)
+        }
+
+        res.send('OK')
+    }))
+
+    // Counters hold a number as text, and we get the new one back:
+    // curl -X POST "http://localhost:9001/pkv/visitors/_incr?by=2"
+    api.post('/pkv/:key/_incr', route(async (req, res) => {
+        const by = req.query.by === undefined ? 1 : Number(req.query.by)
+        if (!Number.isFinite(by)) return res.status(400).send('Invalid increment')
+
+        let notANumber = false
+        const value = await kv.update(req.params.key, value => {
+            const count = value === null ? 0 : Number(value.body.toString())
+            if (!Number.isFinite(count)) {
+                notANumber = true
+                return undefined
+            }
+
+            return { type: 'text/plain; charset=utf-8', body: Buffer.from(String(count + by)) }
+        })
+
+        if (notANumber) return res.status(409).send('Not a number')
+        res.type('text/plain').send(value.body)
+    }))
+
+    // ETags tell whether a key has changed, here we compare its value as text instead.
+    // The key is written only if it holds what we expect, or only if it doesn't exist
+    // when we expect null:
+    // curl -d '{"expected":"node-1","value":"node-2"}' -X POST http://localhost:9001/pkv/leader/_cas
+    api.post('/pkv/:key/_cas', route(async (req, res) => {
+        let cas
+        try {
+            cas = JSON.parse(req.body)
+        } catch (err) {
+            return res.status(400).send('Invalid JSON')
+        }
+
+        const { expected, value } = cas || {}
+        if ((expected !== null && typeof expected !== 'string') || typeof value !== 'string') {
+            return res.status(400).send('Expected a string value and a string or null expected value')
+        }
+
+        let swapped = false
+        await kv.update(req.params.key, current => {
+            if (expected === null ? current !== null : current === null || current.body.toString() !== expected) {
+                return undefined
+            }
+
+            swapped = true
+            return { type: 'text/plain; charset=utf-8', body: Buffer.from(value) }
+        })
+
+        if (!swapped) return res.status(412).send('Precondition failed')
+        res.send('OK')
+    }))
+
+    // Deletions can be conditional, just like writes
+    api.delete('/pkv/:key', route(async (req, res) => {
+        const ifSeq = await expectedSeq(req)
+        if (ifSeq === undefined && !await kv.getEntry(req.params.key)) return res.status(404).send('Not found')
+
+        await kv.delete(req.params.key, { ifSeq })
+        res.send('OK')
+    }))
+
+    // When something goes wrong we say so, instead of leaving the client hanging.
+    // A conditional write that didn't happen is not our fault, though, and neither is
+    // a request body-parser can't take, too big or broken: it tells us the status to answer
+    api.use((err, req, res, next) => {
+        if (err.code === 'ECONFLICT') return res.status(412).send('Precondition failed')
+
+        const status = err.status || err.statusCode
+        if (status >= 400 && status < 500) return res.status(status).send(err.message)
+
+        console.error('Something went wrong:', err)
+        res.status(status >= 500 && status < 600 ? status : 500).send(err.message)
+    })
+
+    const server = api.listen(PORT, () => console.log(`picokv server listening on port ${PORT}`))
+
+    if (PRIMARY) follow(kv)
+
+    // When we are asked to stop, we stop accepting requests and we close PicoKV,
+    // so that everything is safely on disk before we exit
+    const shutdown = async () => {
+        stopping = true
+        server.close()
+        await kv.close()
+        process.exit(0)
+    }
+
+    process.on('SIGTERM', shutdown)
+    process.on('SIGINT', shutdown)
+}
+
+let stopping = false
+
+// A replica follows the changes of its primary from the last one it got.
+// If the primary goes away, we try again a second later.
+// If the primary doesn't have the changes we need anymore, trying again won't help:
+// we throw away everything we have and we get it all again from scratch.
+async function follow(kv) {
+    while (!stopping) {
+        try {
+            await kv.follow(primaryChanges(kv.sequence))
+        } catch (err) {
+            if (!stopping) console.error(`Something went wrong following ${PRIMARY}:`, err.message)
+
+            if (err.code === 'EGONE' && !stopping) {
+                console.error('Starting over from scratch')
+                await kv.clear().catch(err => console.error('Something went wrong starting over:', err))
+            }
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 1000))
+    }
+}
+
+// These are the changes of the primary, as they come from '/pkv/_changes'
+async function* primaryChanges(since) {
+    const res = await new Promise((resolve, reject) =>
+        http.get(`${PRIMARY}/pkv/_changes?since=${since}`, resolve).on('error', reject))
+
+    if (res.statusCode !== 200) throw new Error(`Primary answered ${res.statusCode}`)
+
+    for await (const line of readline.createInterface({ input: res })) {
+        const change = JSON.parse(line)
+        if (change.error) {
+            const err = new Error(change.error)
+            err.code = change.code
+            throw err
+        }
+
+        if (change.type === 'put') {
+            change.value = { type: change.contentType, body: Buffer.from(change.value, 'base64') }
+        }
+
+        yield change
+    }
+}
+
+main().catch(err => {
+    console.error(err)
+    process.exit(1)
+})
@@ -24,6 +24,10 @@ curl -s -X PUT -d "$oldcat_value" -H 'content-type: text/plain' http://localhost
 # And memorize it inside our hash table
 last_test_values[oldcat]=$oldcat_value
 
+# Put a key and delete it right away. It should stay deleted after compactions and restarts.
+curl -s -X PUT -d "$RANDOM" -H 'content-type: text/plain' http://localhost:9001/pkv/ghost > /dev/null
+curl -s -X DELETE http://localhost:9001/pkv/ghost > /dev/null
+
 # For each test key we're going to generate some random value and put it into picokv
 test_keys=("mew" "purr" "yawn" "scratch")
 
@@ -51,16 +55,88 @@ for test_key in "${test_keys[@]}"; do
     fi
 done
 
+# 'ghost' has been deleted, so we expect a 404
+result=$(curl -s -o /dev/null -w '%{http_code}' http://localhost:9001/pkv/ghost)
+if [ "$result" != "404" ]; then
+    printf 'TEST FAILED! Key ghost was deleted but got status %s\n' "$result"
+    statuscode=1
+fi
+
+# 'oldcat' already exists, so creating it again must fail and leave it untouched
+result=$(curl -s -o /dev/null -w '%{http_code}' -X PUT -d "$RANDOM" -H 'If-None-Match: *' http://localhost:9001/pkv/oldcat)
+if [ "$result" != "412" ]; then
+    printf 'TEST FAILED! Key oldcat was overwritten with status %s\n' "$result"
+    statuscode=1
+fi
+
+# And so must overwriting it only if it changed since we got its ETag
+oldcat_etag=$(curl -s -I http://localhost:9001/pkv/oldcat | grep -i '^etag:' | cut -d ' ' -f 2 | tr -d '\r')
+result=$(curl -s -o /dev/null -w '%{http_code}' -X PUT -d "$RANDOM" -H "If-None-Match: $oldcat_etag" http://localhost:9001/pkv/oldcat)
+if [ "$result" != "412" ]; then
+    printf 'TEST FAILED! Key oldcat was overwritten with status %s although its ETag %s did not change\n' "$result" "$oldcat_etag"
+    statuscode=1
+fi
+
+# A hundred increments at once, none of them should get lost
+incr_pids=()
+for _ in {1..100}; do
+    curl -s -X POST http://localhost:9001/pkv/counter/_incr > /dev/null &
+    incr_pids+=($!)
+done
+wait "${incr_pids[@]}"
+result=$(curl -s http://localhost:9001/pkv/counter)
+if [ "$result" != "100" ]; then
+    printf 'TEST FAILED! Expected counter to be 100 but got %s\n' "$result"
+    statuscode=1
+fi
+
+# We have 6 keys: the test keys, 'oldcat' and 'counter'
+result=$(curl -s http://localhost:9001/metrics | grep '^picokv_keys ')
+if [ "$result" != "picokv_keys 6" ]; then
+    printf 'TEST FAILED! Expected 6 keys in metrics but got %s\n' "$result"
+    statuscode=1
+fi
+
 # If something gone wrong, cleanup and exit
 if [ $statuscode == 1 ]; then
     kill -15 "$kv_pid"
     exit 1
 fi
 
-# Now we're going to test a server restart
+# Now we're going to test a server restart.
+# Right before it, lots of writes at once, so that some of them are still
+# on their way when the segment they go to fills up: they must all be there after the restart
+burst_pids=()
+for i in {1..300}; do
+    curl -s -X PUT -d "burst$i" -H 'content-type: text/plain' http://localhost:9001/pkv/burst"$i" > /dev/null &
+    burst_pids+=($!)
+    last_test_values[burst$i]="burst$i"
+done
+wait "${burst_pids[@]}"
+
+# A batch, which happens all at once, and a key that lives for a second only
+curl -s -X POST -d '[{"type":"put","key":"tom","value":"meow"},{"type":"put","key":"kitty","value":"mew"},{"type":"del","key":"tom"}]' \
+    http://localhost:9001/pkv/_batch > /dev/null
+last_test_values[kitty]='mew'
 
-# So we stop the picokv process...
+# A batch with a broken operation is turned down as a whole, with a reason
+status=$(curl -s -o /dev/null -w '%{http_code}' -X POST -d '[{"type":"put","key":"kitty","value":"woof"},{"type":"put","key":"n","value":5}]' \
+    http://localhost:9001/pkv/_batch)
+if [ "$status" != "400" ]; then
+    echo "A batch with a number for a value answered $status instead of 400"
+    exit 1
+fi
+curl -s -X PUT -d 'soon gone' -H 'content-type: text/plain' 'http://localhost:9001/pkv/mayfly?ttl=1000' > /dev/null
+
+# Everything we wrote so far must survive the restart
+read_tests=("${test_keys[@]}" 'kitty')
+for i in {1..300}; do
+    read_tests+=("burst$i")
+done
+
+# So we stop the picokv process, waiting for it to close gracefully...
 kill -15 "$kv_pid"
+wait "$kv_pid"
 
 # ...and start it again so we can test rebuilding indexes from disk
 node server.js &
@@ -85,13 +161,223 @@ for test_key in "${read_tests[@]}"; do
     fi
 done
 
+# 'ghost' should not come back from the dead after rebuilding indexes,
+# and neither should 'tom', deleted by the batch, or 'mayfly', which expired in the meantime
+for gone_key in ghost tom mayfly; do
+    result=$(curl -s -o /dev/null -w '%{http_code}' http://localhost:9001/pkv/"$gone_key")
+    if [ "$result" != "404" ]; then
+        printf 'TEST FAILED! Key %s should be gone but got status %s after restart\n' "$gone_key" "$result"
+        statuscode=1
+    fi
+done
+
+# Keys can be listed in order a page at a time, following the cursor of each page:
+# the 300 burst keys come in 3 pages of 100, each one of them once
+listed=()
+pages=0
+cursor=''
+while [ $pages -lt 10 ]; do
+    page=$(curl -s "http://localhost:9001/pkv?prefix=burst&limit=100&cursor=$cursor")
+    pages=$((pages + 1))
+    listed+=($(printf '%s' "${page%%,\"next\"*}" | grep -o 'burst[0-9]*'))
+    cursor=$(printf '%s' "$page" | sed -n 's/.*"next":"\([^"]*\)".*/\1/p')
+    if [ -z "$cursor" ]; then
+        break
+    fi
+done
+sorted=$(printf '%s\n' "${listed[@]}" | LC_ALL=C sort)
+unique=$(printf '%s\n' "${listed[@]}" | LC_ALL=C sort -u)
+if [ $pages != 3 ] || [ ${#listed[@]} != 300 ] || [ "$sorted" != "$unique" ] || [ "$(printf '%s\n' "${listed[@]}")" != "$sorted" ]; then
+    printf 'TEST FAILED! Expected the 300 burst keys in order in 3 pages but got %s keys in %s pages\n' "${#listed[@]}" "$pages"
+    statuscode=1
+fi
+
+if [ $statuscode == 1 ]; then
+    kill -15 "$kv_pid"
+    exit 1
+fi
+
+# A crash in the middle of a write leaves half a record at the end of the segment
+# we were writing to, the one with the highest number. We fake one: when we start
+# again it must be chopped off, and everything else must still be there
+kill -15 "$kv_pid"
+wait "$kv_pid"
+current_segment=$(ls db/*.pkv | sort | tail -n 1)
+printf '\003\000\000\000\000\000' >> "$current_segment"
+
+node server.js &
+kv_pid=$!
+sleep 2
+
+# The next write goes where the broken record was
+curl -s -X PUT -d 'purrr' -H 'content-type: text/plain' http://localhost:9001/pkv/afterthecrash > /dev/null
+read_tests+=('afterthecrash')
+last_test_values[afterthecrash]='purrr'
+
+for test_key in "${read_tests[@]}"; do
+    result=$(curl -s http://localhost:9001/pkv/"$test_key")
+    expected=${last_test_values[$test_key]}
+    if [ "$result" != "$expected" ]; then
+        printf 'TEST FAILED! For key %s expected %s but got %s after a torn write\n' "$test_key" "$expected" "$result"
+        statuscode=1
+    fi
+done
+
+if [ $statuscode == 1 ]; then
+    kill -15 "$kv_pid"
+    exit 1
+fi
+
+# The change feed tells about every write, it keeps going until we hang up
+result=$(curl -s -N --max-time 1 'http://localhost:9001/pkv/_changes?since=0' | grep -c '"key":"afterthecrash"')
+if [ "$result" != "1" ]; then
+    printf 'TEST FAILED! Expected the change feed to tell about afterthecrash once but it did %s times\n' "$result"
+    statuscode=1
+fi
+
+# A read replica follows it, and ends up with everything we have
+rm -rf ./db-replica
+node server.js --port 9002 --path ./db-replica --primary http://localhost:9001 &
+replica_pid=$!
+sleep 2
+
+for test_key in "${read_tests[@]}"; do
+    result=$(curl -s http://localhost:9002/pkv/"$test_key")
+    expected=${last_test_values[$test_key]}
+    if [ "$result" != "$expected" ]; then
+        printf 'TEST FAILED! For key %s expected %s but got %s from the replica\n' "$test_key" "$expected" "$result"
+        statuscode=1
+    fi
+done
+
+kill -15 "$replica_pid"
+wait "$replica_pid"
+rm -rf ./db-replica
+
 if [ $statuscode == 1 ]; then
     kill -15 "$kv_pid"
     exit 1
 fi
 
-# Cleanup
+# A backup of the store can be opened just like the store, and writing to it
+# must leave the store alone: its hint files too, which the backup starts with
 kill -15 "$kv_pid"
+wait "$kv_pid"
+rm -rf ./db-backup
+node cli.js --path ./db backup ./db-backup > /dev/null
+hints=$(cat db/*.hint | md5sum)
+
+node server.js --port 9002 --path ./db-backup &
+backup_pid=$!
+sleep 2
+
+for test_key in "${read_tests[@]}"; do
+    result=$(curl -s http://localhost:9002/pkv/"$test_key")
+    expected=${last_test_values[$test_key]}
+    if [ "$result" != "$expected" ]; then
+        printf 'TEST FAILED! For key %s expected %s but got %s from the backup\n' "$test_key" "$expected" "$result"
+        statuscode=1
+    fi
+done
+
+# Enough writes for the backup to move on to a new segment
+for i in {1..400}; do
+    curl -s -X PUT -d "backedup$i" -H 'content-type: text/plain' http://localhost:9002/pkv/backedup"$i" > /dev/null
+done
+
+kill -15 "$backup_pid"
+wait "$backup_pid"
+rm -rf ./db-backup
+
+if [ "$(cat db/*.hint | md5sum)" != "$hints" ]; then
+    printf 'TEST FAILED! Writing to the backup changed the hint files of the store\n'
+    statuscode=1
+fi
+
+if [ $statuscode == 1 ]; then
+    exit 1
+fi
+
+# Now that the server is gone, the command line tool can look at what it left.
+# Everything in its segments is in good shape...
+if ! node cli.js --path ./db verify > /dev/null; then
+    printf 'TEST FAILED! The segments of the store did not verify\n'
+    statuscode=1
+fi
+
+# ...the values are the bodies the server was sent...
+result=$(node cli.js --path ./db --encoding http get kitty)
+if [ "$result" != "mew" ]; then
+    printf 'TEST FAILED! For key kitty expected mew but the command line tool got %s\n' "$result"
+    statuscode=1
+fi
+
+# ...and so they are in the records of the segments
+result=$(for segment in db/*.pkv*; do node cli.js --encoding http dump "$segment"; done | grep -c '"key":"afterthecrash".*"value":"purrr"')
+if [ "$result" != "1" ]; then
+    printf 'TEST FAILED! Expected one record for afterthecrash in the segments but found %s\n' "$result"
+    statuscode=1
+fi
+
+# Exporting the store and importing it somewhere else gives us the same store
+rm -rf ./db-import
+node cli.js --path ./db --encoding http export > db-export.ndjson
+node cli.js --path ./db-import --encoding http import db-export.ndjson > /dev/null
+if [ "$(node cli.js --path ./db-import --encoding http export)" != "$(cat db-export.ndjson)" ] || [ ! -s db-export.ndjson ]; then
+    printf 'TEST FAILED! Importing what we exported gave us a different store\n'
+    statuscode=1
+fi
+rm -rf ./db-import db-export.ndjson
+
+# Compaction with a garbage ratio only rewrites the segments worth it, in segments
+# no bigger than the segments size. Each record here takes 56 bytes, so the first segment
+# gets a1 to a4 and a quarter of it turns into garbage when a1 goes. Every later one
+# gets a c key and the d key three times, so most of it is garbage
+rm -rf ./db-compact
+compact_cli=(node cli.js --path ./db-compact --segments-size 200)
+compact_value=$(printf 'x%.0s' {1..30})
+for key in a1 a2 a3 a4; do
+    "${compact_cli[@]}" set "$key" "$compact_value"
+done
+"${compact_cli[@]}" del a1
+for i in {1..6}; do
+    "${compact_cli[@]}" set "c$i" "$compact_value"
+    for j in {1..3}; do
+        "${compact_cli[@]}" set d "$compact_value"
+    done
+done
+"${compact_cli[@]}" compact --garbage-ratio 0.6 > /dev/null
+
+if [ ! -f db-compact/picokv-000000000001.pkv ]; then
+    printf 'TEST FAILED! Compaction rewrote a segment with little garbage\n'
+    statuscode=1
+fi
+compacted_segments=$(find db-compact -name '*.pkvc' | wc -l)
+oversized_segments=$(find db-compact -name '*.pkvc' -size +200c | wc -l)
+if [ "$compacted_segments" -lt 2 ] || [ "$oversized_segments" != "0" ]; then
+    printf 'TEST FAILED! Expected compacted segments of at most 200 bytes, got %s of them, %s too big\n' "$compacted_segments" "$oversized_segments"
+    statuscode=1
+fi
+
+# Every run of the command line tool opens the store again, so this is after a restart:
+# a1 still has a value in the first segment, and only the tombstone that was kept
+# in the compacted segments keeps it from coming back
+if "${compact_cli[@]}" get a1 > /dev/null 2>&1; then
+    printf 'TEST FAILED! Key a1 came back after the compaction\n'
+    statuscode=1
+fi
+for key in a2 a3 a4 c1 c2 c3 c4 c5 c6 d; do
+    result=$("${compact_cli[@]}" get "$key")
+    if [ "$result" != "$compact_value" ]; then
+        printf 'TEST FAILED! For key %s expected %s after the compaction but got %s\n' "$key" "$compact_value" "$result"
+        statuscode=1
+    fi
+done
+rm -rf ./db-compact
+
+if [ $statuscode == 1 ]; then
+    exit 1
+fi
 
 # ...aaaand we're happy! :-)
 printf 'TEST OK\n'